@@ -39,6 +39,30 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Middleware to attach the user when a valid token is present, without requiring one
+const optionalAuthenticate = async (req, res, next) => {
+  try {
+    let token = req.cookies.token;
+    
+    if (!token && req.headers.authorization) {
+      const authHeader = req.headers.authorization;
+      if (authHeader.startsWith('Bearer ')) {
+        token = authHeader.substring(7);
+      }
+    }
+    
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      if (user) req.user = user;
+    }
+  } catch (error) {
+    // Treat an invalid token as an anonymous request
+  }
+  
+  next();
+};
+
 // Function to authenticate socket connection
 const authenticateSocket = async (token) => {
   try {
@@ -59,43 +83,8 @@ const authenticateSocket = async (token) => {
   }
 };
 
-// Middleware to check if user has admin role in a guild
-const isGuildAdmin = async (req, res, next) => {
-  try {
-    const { guildId } = req.params;
-    const userId = req.user._id;
-    
-    // Find the guild
-    const guild = await Guild.findById(guildId);
-    
-    if (!guild) {
-      return res.status(404).json({ message: 'Guild not found' });
-    }
-    
-    // Check if user is the owner
-    if (guild.owner.toString() === userId.toString()) {
-      return next();
-    }
-    
-    // Check if user has admin role
-    const adminRole = guild.roles.find(role => 
-      role.permissions.includes('ADMINISTRATOR') && 
-      role.members.some(member => member.toString() === userId.toString())
-    );
-    
-    if (!adminRole) {
-      return res.status(403).json({ message: 'You do not have permission to perform this action' });
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Guild admin check error:', error);
-    return res.status(500).json({ message: 'Server error' });
-  }
-};
-
 module.exports = {
   authenticate,
-  authenticateSocket,
-  isGuildAdmin
+  optionalAuthenticate,
+  authenticateSocket
 };
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Guild = require('../models/Guild');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const {
+  includesId,
+  computeBasePermissions,
+  computeChannelPermissions,
+  isOwner,
+  outranks
+} = require('../utils/permissions');
+
+// Middleware to load the guild named by a route parameter into req.guild
+const loadGuild = (param = 'id') => async (req, res, next) => {
+  try {
+    const guildId = req.params[param];
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(guildId)) {
+      return res.status(400).json({ message: 'Invalid guild ID format' });
+    }
+
+    const guild = await Guild.findById(guildId);
+
+    if (!guild) {
+      return res.status(404).json({ message: 'Guild not found' });
+    }
+
+    req.guild = guild;
+    next();
+  } catch (error) {
+    console.error('Load guild error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Middleware to load the channel named by a route parameter into req.channel,
+// along with its guild into req.guild and the channel whose overwrites apply
+// to it into req.permissionChannel (the parent, for threads). The `types`
+// option restricts which channel types the route accepts.
+const loadChannel = (param = 'id', { types = null } = {}) => async (req, res, next) => {
+  try {
+    const channelId = req.params[param];
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(channelId)) {
+      return res.status(400).json({ message: 'Invalid channel ID format' });
+    }
+
+    const channel = await Channel.findById(channelId);
+
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    if (types && !types.includes(channel.type)) {
+      return res.status(400).json({ message: `This action is not supported for ${channel.type} channels` });
+    }
+
+    const permissionChannel = await channel.getPermissionChannel();
+
+    if (!permissionChannel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    const guild = await Guild.findById(channel.guild);
+
+    if (!guild) {
+      return res.status(404).json({ message: 'Guild not found' });
+    }
+
+    req.channel = channel;
+    req.permissionChannel = permissionChannel;
+    req.guild = guild;
+    next();
+  } catch (error) {
+    console.error('Load channel error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Middleware to load the conversation named by a route parameter into
+// req.conversation, requiring the current user to be a participant
+const loadConversation = (param = 'id') => async (req, res, next) => {
+  try {
+    const conversationId = req.params[param];
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(400).json({ message: 'Invalid conversation ID format' });
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!includesId(conversation.participants, req.user._id)) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Load conversation error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Middleware to load the message named by a route parameter into req.message
+// and check that the user can read it. Guild messages also set req.channel,
+// req.guild and req.permissions; DM messages set req.conversation.
+const loadMessage = (param = 'id') => async (req, res, next) => {
+  try {
+    const messageId = req.params[param];
+    const userId = req.user._id;
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID format' });
+    }
+
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message.channel) {
+      // Guild message
+      const channel = await Channel.findById(message.channel);
+      const permissionChannel = channel && await channel.getPermissionChannel();
+      const guild = permissionChannel && await Guild.findById(channel.guild);
+
+      if (!guild) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+
+      const permissions = computeChannelPermissions(guild, permissionChannel, userId);
+
+      if (!permissions.has('VIEW_CHANNELS') || !permissions.has('READ_MESSAGE_HISTORY')) {
+        return res.status(403).json({ message: 'You do not have access to this message' });
+      }
+
+      req.channel = channel;
+      req.permissionChannel = permissionChannel;
+      req.guild = guild;
+      req.permissions = permissions;
+    } else {
+      // DM message
+      const conversation = await Conversation.findById(message.conversationId);
+
+      if (!conversation || !includesId(conversation.participants, userId)) {
+        return res.status(403).json({ message: 'You do not have access to this message' });
+      }
+
+      req.conversation = conversation;
+    }
+
+    req.message = message;
+    next();
+  } catch (error) {
+    console.error('Load message error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Middleware to require guild membership and the given permissions. Must run
+// after loadGuild or loadChannel; channel overwrites apply when a channel is loaded.
+const requirePermission = (...required) => (req, res, next) => {
+  const { guild, permissionChannel } = req;
+  const userId = req.user._id;
+
+  if (!includesId(guild.members, userId)) {
+    return res.status(403).json({ message: 'You are not a member of this guild' });
+  }
+
+  const permissions = permissionChannel
+    ? computeChannelPermissions(guild, permissionChannel, userId)
+    : computeBasePermissions(guild, userId);
+
+  if (!required.every(permission => permissions.has(permission))) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+
+  req.permissions = permissions;
+  next();
+};
+
+// Middleware to require that the current user owns the guild. Must run after loadGuild.
+const requireOwner = (req, res, next) => {
+  if (!isOwner(req.guild, req.user._id)) {
+    return res.status(403).json({ message: 'Only the guild owner can perform this action' });
+  }
+
+  next();
+};
+
+// Middleware to require that the current user outranks the member named by a
+// route parameter. Must run after loadGuild.
+const requireHierarchy = (param = 'userId') => (req, res, next) => {
+  const targetId = req.params[param];
+
+  // Validate if id is a valid ObjectId
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return res.status(400).json({ message: 'Invalid user ID format' });
+  }
+
+  if (isOwner(req.guild, targetId)) {
+    return res.status(403).json({ message: 'You cannot perform this action on the guild owner' });
+  }
+
+  if (!outranks(req.guild, req.user._id, targetId)) {
+    return res.status(403).json({ message: 'You cannot perform this action on a member whose highest role is not below yours' });
+  }
+
+  next();
+};
+
+module.exports = {
+  loadGuild,
+  loadChannel,
+  loadConversation,
+  loadMessage,
+  requirePermission,
+  requireOwner,
+  requireHierarchy
+};
@@ -1,57 +1,258 @@
-
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-
-// Create uploads directory if it doesn't exist
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let folder = 'misc';
-    
-    if (file.fieldname === 'avatar') {
-      folder = 'avatars';
-    } else if (file.fieldname === 'icon') {
-      folder = 'icons';
-    }
-    
-    const destPath = path.join(uploadDir, folder);
-    if (!fs.existsSync(destPath)) {
-      fs.mkdirSync(destPath, { recursive: true });
-    }
-    
-    cb(null, path.join('uploads', folder));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
-});
+const QuarantinedFile = require('../models/QuarantinedFile');
+const { storage, createKey, getPublicUrl, QUARANTINE_FOLDER } = require('../utils/storage');
+const { detectFileType } = require('../utils/fileTypes');
+const { scanFile } = require('../utils/scanner');
+const {
+  IMAGE_SIZES,
+  readImageMetadata,
+  createSquareVariants,
+  createThumbnails,
+  stripMetadata,
+  createPlaceholder
+} = require('../utils/images');
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif/;
-  const mimetype = allowedTypes.test(file.mimetype);
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  
-  if (mimetype && extname) {
-    return cb(null, true);
-  }
-  
-  cb(new Error('Only image files are allowed!'));
+// Attachment limits, configurable through the environment
+const ATTACHMENT_MAX_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 8 * 1024 * 1024; // 8MB
+const ATTACHMENT_MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES) || 10;
+const ATTACHMENT_ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES ||
+  'image/*,video/mp4,video/webm,audio/*,application/pdf,application/zip,text/plain')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+// Storage folder for each upload field
+const FOLDERS = {
+  avatar: 'avatars',
+  icon: 'icons',
+  files: 'attachments'
 };
 
-// Create multer upload middleware
-const upload = multer({
-  storage,
-  fileFilter,
+// Types accepted for avatars and icons
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Check a mimetype against the allowed attachment types, which may use wildcards like image/*
+const isAllowedAttachmentType = (mimetype) => {
+  return ATTACHMENT_ALLOWED_TYPES.some(allowed =>
+    allowed.endsWith('/*') ? mimetype.startsWith(allowed.slice(0, -1)) : mimetype === allowed
+  );
+};
+
+// Files are kept in memory by multer, checked by inspectFiles and then
+// written to the storage backend
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB
 });
 
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_SIZE, files: ATTACHMENT_MAX_FILES }
+});
+
+// Keep a file that failed the malware scan out of reach, for later review
+const quarantineFile = async (req, file, signature) => {
+  const key = createKey(QUARANTINE_FOLDER, file.ext);
+  await storage.put(key, file.buffer, { contentType: file.mimetype });
+
+  await QuarantinedFile.create({
+    key,
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    uploader: req.user._id,
+    signature
+  });
+};
+
+// Check uploaded files by content rather than by what the client claims.
+// The sniffed type replaces the client mimetype and must pass isAllowed;
+// HTML, SVG and other active content is always refused. Files are then
+// scanned for malware and quarantined if they fail. Resolves to
+// { status, message } for the first file that is refused, or null.
+const inspectFiles = async (req, files, isAllowed) => {
+  for (const file of files) {
+    const type = detectFileType(file.buffer);
+
+    if (type.active) {
+      return { status: 400, message: `Active content such as HTML or SVG is not allowed: ${file.originalname}` };
+    }
+
+    if (!isAllowed(type.mime)) {
+      return { status: 400, message: `File type not allowed: ${file.originalname}` };
+    }
+
+    file.mimetype = type.mime;
+    file.ext = type.ext;
+  }
+
+  for (const file of files) {
+    let result;
+
+    try {
+      result = await scanFile(file.buffer, file);
+    } catch (error) {
+      console.error('Scan upload error:', error);
+      return { status: 503, message: 'Uploads cannot be scanned right now, please try again later' };
+    }
+
+    if (!result.clean) {
+      await quarantineFile(req, file, result.signature);
+      return { status: 400, message: `File failed the malware scan: ${file.originalname}` };
+    }
+  }
+
+  return null;
+};
+
+// Turn a client filename into a safe storage key segment, keeping the sniffed extension
+const safeFilename = (originalname, ext) => {
+  const name = path.parse(originalname).name.replace(/[^\w.-]+/g, '_').slice(0, 100);
+  return (name || 'file') + ext;
+};
+
+// Write an object to the storage backend and remember its key on the uploaded file
+const storeObject = async (file, key, buffer, contentType) => {
+  await storage.put(key, buffer, { contentType });
+  file.keys = [...(file.keys || []), key];
+};
+
+// Delete the stored objects of uploaded files
+const removeFiles = (files) => {
+  files.flatMap(file => file.keys || []).forEach(key => {
+    storage.delete(key).catch(error => console.error('Remove upload error:', error));
+  });
+};
+
+// Delete stored objects once the request that uploaded them has failed
+const removeFilesOnError = (res, files) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+    removeFiles(files);
+  });
+};
+
+// Process and store an attachment, building its metadata. Images are stripped
+// of EXIF data and get dimensions, preview thumbnails and a blurhash placeholder.
+const describeAttachment = async (file) => {
+  const base = createKey(FOLDERS.files, '');
+  const key = `${base}/${safeFilename(file.originalname, file.ext)}`;
+  const attachment = {
+    key,
+    filename: file.originalname,
+    contentType: file.mimetype
+  };
+
+  let buffer = file.buffer;
+  let metadata = file.mimetype.startsWith('image/') && await readImageMetadata(buffer);
+
+  if (metadata) {
+    buffer = await stripMetadata(buffer, metadata);
+    metadata = await readImageMetadata(buffer);
+
+    const thumbnails = await createThumbnails(buffer, metadata);
+    await Promise.all(thumbnails.map(thumbnail =>
+      storeObject(file, `${base}/thumbnails/${thumbnail.size}.webp`, thumbnail.buffer, 'image/webp')
+    ));
+
+    attachment.width = metadata.width;
+    attachment.height = metadata.height;
+    attachment.variants = thumbnails.map(thumbnail => ({
+      size: thumbnail.size,
+      key: `${base}/thumbnails/${thumbnail.size}.webp`,
+      width: thumbnail.width,
+      height: thumbnail.height
+    }));
+    attachment.placeholder = await createPlaceholder(buffer);
+  }
+
+  await storeObject(file, key, buffer, file.mimetype);
+  attachment.size = buffer.length;
+
+  return attachment;
+};
+
+// Image uploads for avatars and icons. `upload.single(field)` accepts one image,
+// stores square WebP variants of it and exposes them as req.file.image, in the
+// shape saved on User.avatar and Guild.icon: { url, variants: { 64, 128, 512 } }.
+const upload = {
+  single: (field) => [
+    imageUpload.single(field),
+    async (req, res, next) => {
+      if (!req.file) return next();
+
+      try {
+        const refused = await inspectFiles(req, [req.file], type => IMAGE_TYPES.includes(type));
+
+        if (refused) {
+          return res.status(refused.status).json({ message: refused.message });
+        }
+
+        const metadata = await readImageMetadata(req.file.buffer);
+
+        if (!metadata) {
+          return res.status(400).json({ message: 'Invalid image file' });
+        }
+
+        removeFilesOnError(res, [req.file]);
+
+        const base = createKey(FOLDERS[field] || 'misc', '');
+        const variants = await createSquareVariants(req.file.buffer, metadata);
+        await Promise.all(variants.map(variant =>
+          storeObject(req.file, `${base}/${variant.size}.webp`, variant.buffer, 'image/webp')
+        ));
+
+        const urls = Object.fromEntries(IMAGE_SIZES.map(size => [size, getPublicUrl(`${base}/${size}.webp`)]));
+        req.file.image = {
+          url: urls[Math.max(...IMAGE_SIZES)],
+          variants: urls
+        };
+        next();
+      } catch (error) {
+        next(error);
+      }
+    }
+  ]
+};
+
+// Middleware to accept message attachments in the `files` field. Attachment
+// metadata ends up in req.attachments; limit errors become 400 responses.
+const uploadAttachments = (req, res, next) => {
+  attachmentUpload.array('files', ATTACHMENT_MAX_FILES)(req, res, async (error) => {
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Attachments must be smaller than ${ATTACHMENT_MAX_SIZE} bytes`,
+        LIMIT_FILE_COUNT: `A message can have at most ${ATTACHMENT_MAX_FILES} attachments`,
+        LIMIT_UNEXPECTED_FILE: `Attachments must be sent in the files field, at most ${ATTACHMENT_MAX_FILES} at a time`
+      };
+      return res.status(400).json({ message: messages[error.code] || error.message });
+    }
+
+    if (error) {
+      return next(error);
+    }
+
+    const files = req.files || [];
+
+    // Don't keep files for requests that end up failing
+    removeFilesOnError(res, files);
+
+    try {
+      const refused = await inspectFiles(req, files, isAllowedAttachmentType);
+
+      if (refused) {
+        return res.status(refused.status).json({ message: refused.message });
+      }
+
+      req.attachments = await Promise.all(files.map(describeAttachment));
+      next();
+    } catch (describeError) {
+      next(describeError);
+    }
+  });
+};
+
 module.exports = upload;
+module.exports.uploadAttachments = uploadAttachments;
+module.exports.removeFiles = removeFiles;
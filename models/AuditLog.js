@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const AUDIT_LOG_ACTIONS = [
+  'GUILD_UPDATE',
+  'CHANNEL_CREATE',
+  'CHANNEL_UPDATE',
+  'CHANNEL_DELETE',
+  'CHANNEL_OVERWRITE_UPDATE',
+  'CHANNEL_OVERWRITE_DELETE',
+  'MEMBER_KICK',
+  'MEMBER_BAN_ADD',
+  'MEMBER_BAN_REMOVE',
+  'MEMBER_TIMEOUT_ADD',
+  'MEMBER_TIMEOUT_REMOVE',
+  'MEMBER_ROLE_UPDATE',
+  'ROLE_CREATE',
+  'ROLE_UPDATE',
+  'ROLE_DELETE',
+  'INVITE_CREATE',
+  'INVITE_DELETE',
+  'MESSAGE_DELETE',
+  'MESSAGE_BULK_DELETE',
+  'MESSAGE_PIN',
+  'MESSAGE_UNPIN'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  guild: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guild',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_LOG_ACTIONS,
+    required: true
+  },
+  // ID of the affected guild, channel, user, role, invite or message
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // List of { key, before, after } entries describing what changed
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 512
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ guild: 1, _id: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.ACTIONS = AUDIT_LOG_ACTIONS;
+
+module.exports = AuditLog;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const banSchema = new mongoose.Schema({
+  guild: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guild',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 512
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null means permanent
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+banSchema.index({ guild: 1, user: 1 }, { unique: true });
+
+// Let MongoDB remove temporary bans once they expire
+banSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if ban is expired
+banSchema.methods.isExpired = function() {
+  if (!this.expiresAt) return false;
+  return this.expiresAt < new Date();
+};
+
+// Find the ban in effect for a user in a guild, if any. The TTL monitor only
+// runs periodically, so expired bans are filtered out here as well.
+banSchema.statics.findActive = async function(guildId, userId) {
+  const ban = await this.findOne({ guild: guildId, user: userId });
+  if (!ban || ban.isExpired()) return null;
+  return ban;
+};
+
+const Ban = mongoose.model('Ban', banSchema);
+
+module.exports = Ban;
@@ -1,13 +1,38 @@
 
 const mongoose = require('mongoose');
 
+// Allowed thread auto-archive durations, in minutes
+const AUTO_ARCHIVE_DURATIONS = [60, 1440, 4320, 10080];
+
+// Allow/deny overwrite applied on top of the guild-wide role permissions
+const permissionOverwriteSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['role', 'member'],
+    required: true
+  },
+  // Role subdocument ID or user ID, depending on type
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  allow: {
+    type: [String],
+    default: []
+  },
+  deny: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
 const channelSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true,
-    minlength: 2,
-    maxlength: 32
+    minlength: 1,
+    maxlength: 100 // Routes limit regular channel names to 32 characters
   },
   topic: {
     type: String,
@@ -25,15 +50,57 @@ const channelSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'voice'],
+    enum: ['text', 'voice', 'thread'],
     default: 'text'
   },
+  permissionOverwrites: [permissionOverwriteSchema],
+  // Thread fields, only set on threads. Threads inherit the permissions of
+  // their parent channel.
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  },
+  starterMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  threadMembers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: undefined
+  },
+  archived: Boolean,
+  locked: Boolean,
+  // Minutes of inactivity before the thread is archived
+  autoArchiveDuration: {
+    type: Number,
+    enum: AUTO_ARCHIVE_DURATIONS
+  },
+  lastActivityAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, { timestamps: true });
 
+channelSchema.index({ parent: 1, archived: 1 });
+channelSchema.index({ starterMessage: 1 }, { unique: true, sparse: true });
+
+// Get the channel whose permission overwrites apply to this one: the parent
+// for threads, the channel itself otherwise
+channelSchema.methods.getPermissionChannel = async function() {
+  if (this.type !== 'thread') return this;
+  return this.constructor.findById(this.parent);
+};
+
 const Channel = mongoose.model('Channel', channelSchema);
 
+Channel.AUTO_ARCHIVE_DURATIONS = AUTO_ARCHIVE_DURATIONS;
+
 module.exports = Channel;
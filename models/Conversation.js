@@ -1,7 +1,17 @@
 
 const mongoose = require('mongoose');
 
+// Most participants a group conversation can have
+const MAX_GROUP_PARTICIPANTS = 10;
+
 const conversationSchema = new mongoose.Schema({
+  // A dm has exactly two participants and is unique per pair; groups have
+  // up to MAX_GROUP_PARTICIPANTS and can be renamed and joined or left
+  type: {
+    type: String,
+    enum: ['dm', 'group'],
+    default: 'dm'
+  },
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -11,6 +21,23 @@ const conversationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Group owner, the only participant who can remove others
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  // Same shape as Guild.icon
+  icon: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
@@ -24,4 +51,6 @@ const conversationSchema = new mongoose.Schema({
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
+Conversation.MAX_GROUP_PARTICIPANTS = MAX_GROUP_PARTICIPANTS;
+
 module.exports = Conversation;
@@ -19,12 +19,40 @@ const roleSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Managed roles (the owner's Admin role) can only be changed by the owner
+  managed: {
+    type: Boolean,
+    default: false
+  },
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }]
 });
 
+const timeoutSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 512
+  },
+  until: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 const guildSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -33,8 +61,10 @@ const guildSchema = new mongoose.Schema({
     minlength: 2,
     maxlength: 100
   },
+  // { url, variants: { 64, 128, 512 } } with the URL of each square WebP variant;
+  // older documents may still hold a plain URL string
   icon: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     default: null
   },
   owner: {
@@ -47,6 +77,8 @@ const guildSchema = new mongoose.Schema({
     ref: 'User'
   }],
   roles: [roleSchema],
+  // Members who may read but not post until the timeout ends
+  timeouts: [timeoutSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,12 +103,44 @@ guildSchema.pre('save', function(next) {
       color: '#F04747',
       permissions: ['ADMINISTRATOR'],
       position: 1,
+      managed: true,
       members: [this.owner]
     });
   }
   next();
 });
 
+// Get the timeout currently in effect for a member, if any
+guildSchema.methods.getActiveTimeout = function(userId) {
+  return this.timeouts.find(timeout =>
+    timeout.user.toString() === userId.toString() && timeout.until > new Date()
+  ) || null;
+};
+
+// Flag the owner's Admin role as managed in guilds created before managed
+// roles existed. Run at startup; guilds that already have a managed role are skipped.
+guildSchema.statics.flagManagedRoles = async function() {
+  const guilds = await this.find({
+    'roles.managed': { $ne: true },
+    roles: { $elemMatch: { name: 'Admin', permissions: 'ADMINISTRATOR' } }
+  }).select('owner roles');
+
+  for (const guild of guilds) {
+    const adminRole = guild.roles.find(role =>
+      role.name === 'Admin' &&
+      role.permissions.includes('ADMINISTRATOR') &&
+      role.members.some(member => member.toString() === guild.owner.toString())
+    );
+
+    if (adminRole) {
+      await this.updateOne(
+        { _id: guild._id, 'roles._id': adminRole._id },
+        { $set: { 'roles.$.managed': true } }
+      );
+    }
+  }
+};
+
 const Guild = mongoose.model('Guild', guildSchema);
 
 module.exports = Guild;
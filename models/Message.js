@@ -1,10 +1,70 @@
 
 const mongoose = require('mongoose');
 
+const reactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true,
+    maxlength: 64
+  },
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+// Download URLs are signed when messages are serialized, so only the storage key is kept
+const attachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  // Only set for images
+  width: Number,
+  height: Number,
+  // Preview thumbnails, each fitting inside a size x size box
+  variants: {
+    type: [{
+      _id: false,
+      size: Number,
+      key: String,
+      width: Number,
+      height: Number
+    }],
+    default: undefined
+  },
+  // Blurhash shown while the image loads
+  placeholder: String
+}, { _id: false });
+
+// System notices posted when group conversation membership changes, next to regular messages
+const MESSAGE_TYPES = ['default', 'participantAdd', 'participantRemove', 'participantLeave'];
+
 const messageSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MESSAGE_TYPES,
+    default: 'default'
+  },
+  // Content may only be empty when the message carries attachments, or for system notices
   content: {
     type: String,
-    required: true,
+    required: function() {
+      return this.type === 'default' && this.attachments.length === 0;
+    },
+    default: '',
     trim: true,
     maxlength: 2000
   },
@@ -21,9 +81,25 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation'
   },
-  attachments: [{
-    type: String
-  }],
+  // User a system notice is about, e.g. the participant who was added
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: undefined
+  },
+  // Message this one replies to
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Thread started from this message
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    default: null
+  },
+  attachments: [attachmentSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -32,12 +108,48 @@ const messageSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Users, roles and channels mentioned in the content, plus the author of
+  // the replied-to message when pinged
   mentions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  mentionRoles: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  mentionChannels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  }],
+  // Set for @everyone and @here
+  mentionEveryone: {
+    type: Boolean,
+    default: false
+  },
+  reactions: [reactionSchema],
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  // Client-generated id of the send attempt, so retries don't post twice in
+  // the same channel or conversation
+  nonce: {
+    type: String,
+    maxlength: 64
+  }
 }, { timestamps: true });
 
+messageSchema.index({ content: 'text' });
+messageSchema.index({ channel: 1, pinned: 1 });
+messageSchema.index({ conversationId: 1, pinned: 1 });
+messageSchema.index({ author: 1, channel: 1, conversationId: 1, nonce: 1 }, { unique: true, partialFilterExpression: { nonce: { $type: 'string' } } });
+
 const Message = mongoose.model('Message', messageSchema);
 
+Message.TYPES = MESSAGE_TYPES;
+
 module.exports = Message;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// An upload that failed the malware scan. The file is kept in storage under
+// quarantine/, which is never served, so it can be reviewed or deleted later.
+const quarantinedFileSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name of the signature the scanner matched
+  signature: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const QuarantinedFile = mongoose.model('QuarantinedFile', quarantinedFileSchema);
+
+module.exports = QuarantinedFile;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// How far a user has read in a channel or a conversation
+const readStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    default: null
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // Last message the user has read; later messages are unread
+  lastMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  }
+}, { timestamps: true });
+
+readStateSchema.index({ user: 1, channel: 1, conversationId: 1 }, { unique: true });
+
+const ReadState = mongoose.model('ReadState', readStateSchema);
+
+module.exports = ReadState;
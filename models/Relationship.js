@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Relationship types, from the point of view of `user`:
+// friend, a friend request sent to (outgoing) or received from (incoming)
+// `target`, or `target` blocked by `user`
+const RELATIONSHIP_TYPES = ['friend', 'outgoing', 'incoming', 'blocked'];
+
+// One direction of a relationship between two users. Friendships and requests
+// are stored on both sides; a block only on the side of the user who blocked.
+const relationshipSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: RELATIONSHIP_TYPES,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+relationshipSchema.index({ user: 1, target: 1 }, { unique: true });
+relationshipSchema.index({ user: 1, type: 1 });
+
+const Relationship = mongoose.model('Relationship', relationshipSchema);
+
+Relationship.TYPES = RELATIONSHIP_TYPES;
+
+module.exports = Relationship;
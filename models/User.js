@@ -23,13 +23,22 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // { url, variants: { 64, 128, 512 } } with the URL of each square WebP variant;
+  // older documents may still hold a plain URL string
   avatar: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     default: null
   },
+  // Presence shown to others, derived from connected sockets by utils/presence.js
   status: {
     type: String,
     enum: ['online', 'idle', 'dnd', 'offline'],
+    default: 'offline'
+  },
+  // Status the user picked; invisible users appear offline
+  statusPreference: {
+    type: String,
+    enum: ['online', 'idle', 'dnd', 'invisible'],
     default: 'online'
   },
   bio: {
@@ -1,41 +1,45 @@
-
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Channel = require('../models/Channel');
-const Guild = require('../models/Guild');
 const Message = require('../models/Message');
 const { authenticate } = require('../middleware/auth');
+const { loadChannel, requirePermission } = require('../middleware/permissions');
+const { uploadAttachments, removeFiles } = require('../middleware/upload');
+const { CHANNEL_PERMISSIONS, isOwner } = require('../utils/permissions');
+const { emitToChannelViewers, evictGuildChannelRooms, closeRooms } = require('../utils/socket');
+const { diff, getAuditReason, recordAuditLog } = require('../utils/auditLog');
+const {
+  serializeMessages,
+  setMessagePinned,
+  MAX_PINS
+} = require('../utils/messages');
+const { acknowledge, getMentionableRoleIds } = require('../utils/readStates');
+const { sendMessageValidators, sendChannelMessage } = require('../utils/messageActions');
+
+// Channel types managed through these routes; threads have their own in routes/threads.js
+const CHANNEL_TYPES = ['text', 'voice'];
 
 // Get channel by ID
-router.get('/:id', authenticate, async (req, res) => {
-  try {
-    // Validate if id is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid channel ID format' });
-    }
-    
-    const channel = await Channel.findById(req.params.id).populate('guild', 'name icon');
-    
-    if (!channel) {
-      return res.status(404).json({ message: 'Channel not found' });
-    }
-    
-    // Find the guild to check membership
-    const guild = await Guild.findById(channel.guild._id);
-    
-    // Check if user is a member of the guild
-    if (!guild.members.includes(req.user._id)) {
-      return res.status(403).json({ message: 'You are not a member of this guild' });
+router.get(
+  '/:id',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS'),
+  async (req, res) => {
+    try {
+      const { channel } = req;
+
+      await channel.populate('guild', 'name icon');
+
+      res.json(channel);
+    } catch (error) {
+      console.error('Get channel error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
-    
-    res.json(channel);
-  } catch (error) {
-    console.error('Get channel error:', error);
-    res.status(500).json({ message: 'Server error' });
   }
-});
+);
 
 // Update channel
 router.put(
@@ -61,6 +65,8 @@ router.put(
       .isString()
       .trim()
   ],
+  loadChannel('id', { types: CHANNEL_TYPES }),
+  requirePermission('MANAGE_CHANNELS'),
   async (req, res) => {
     try {
       // Check for validation errors
@@ -70,38 +76,8 @@ router.put(
       }
 
       const { name, topic, category } = req.body;
-      const channelId = req.params.id;
-
-      // Validate if id is a valid ObjectId
-      if (!mongoose.Types.ObjectId.isValid(channelId)) {
-        return res.status(400).json({ message: 'Invalid channel ID format' });
-      }
-
-      // Find the channel
-      let channel = await Channel.findById(channelId);
-      
-      if (!channel) {
-        return res.status(404).json({ message: 'Channel not found' });
-      }
-      
-      // Find the guild to check permissions
-      const guild = await Guild.findById(channel.guild);
-      
-      // Check if user has permission to manage channels
-      const isAdmin = guild.owner.toString() === req.user._id.toString() ||
-                     guild.roles.some(role => 
-                       role.permissions.includes('ADMINISTRATOR') && 
-                       role.members.includes(req.user._id)
-                     );
-      
-      const canManageChannels = isAdmin || guild.roles.some(role => 
-        role.permissions.includes('MANAGE_CHANNELS') && 
-        role.members.includes(req.user._id)
-      );
-      
-      if (!canManageChannels) {
-        return res.status(403).json({ message: 'You do not have permission to manage channels' });
-      }
+      const { guild } = req;
+      const channelId = req.channel._id;
 
       // Update channel fields
       const updateData = {};
@@ -109,16 +85,25 @@ router.put(
       if (topic !== undefined) updateData.topic = topic;
       if (category) updateData.category = category;
 
-      channel = await Channel.findByIdAndUpdate(
+      const channel = await Channel.findByIdAndUpdate(
         channelId,
         { $set: updateData },
         { new: true, runValidators: true }
       );
 
+      await recordAuditLog({
+        guild: guild._id,
+        actor: req.user._id,
+        action: 'CHANNEL_UPDATE',
+        target: channelId,
+        changes: diff(req.channel, channel, ['name', 'topic', 'category']),
+        reason: getAuditReason(req)
+      });
+
       // Notify clients about the update
       const io = req.app.get('io');
       io.to(`channel:${channelId}`).emit('channelUpdate', channel);
-      io.to(`guild:${channel.guild}`).emit('channelUpdate', channel);
+      await emitToChannelViewers(io, guild, channel, 'channelUpdate', channel);
 
       res.json(channel);
     } catch (error) {
@@ -129,128 +114,354 @@ router.put(
 );
 
 // Delete channel
-router.delete('/:id', authenticate, async (req, res) => {
-  try {
-    const channelId = req.params.id;
+router.delete(
+  '/:id',
+  authenticate,
+  loadChannel('id', { types: CHANNEL_TYPES }),
+  requirePermission('MANAGE_CHANNELS'),
+  async (req, res) => {
+    try {
+      const { guild, channel } = req;
+      const channelId = channel._id;
 
-    // Validate if id is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(channelId)) {
-      return res.status(400).json({ message: 'Invalid channel ID format' });
-    }
+      // Check if it's the last channel in the guild
+      const channelCount = await Channel.countDocuments({ guild: channel.guild, type: { $ne: 'thread' } });
+      if (channelCount <= 1) {
+        return res.status(400).json({ message: 'Cannot delete the last channel in a guild' });
+      }
 
-    // Find the channel
-    const channel = await Channel.findById(channelId);
-    
-    if (!channel) {
-      return res.status(404).json({ message: 'Channel not found' });
-    }
-    
-    // Find the guild to check permissions
-    const guild = await Guild.findById(channel.guild);
-    
-    // Check if user has permission to manage channels
-    const isAdmin = guild.owner.toString() === req.user._id.toString() ||
-                   guild.roles.some(role => 
-                     role.permissions.includes('ADMINISTRATOR') && 
-                     role.members.includes(req.user._id)
-                   );
-    
-    const canManageChannels = isAdmin || guild.roles.some(role => 
-      role.permissions.includes('MANAGE_CHANNELS') && 
-      role.members.includes(req.user._id)
-    );
-    
-    if (!canManageChannels) {
-      return res.status(403).json({ message: 'You do not have permission to manage channels' });
-    }
-    
-    // Check if it's the last channel in the guild
-    const channelCount = await Channel.countDocuments({ guild: channel.guild });
-    if (channelCount <= 1) {
-      return res.status(400).json({ message: 'Cannot delete the last channel in a guild' });
+      // Delete all messages in the channel and its threads
+      const threads = await Channel.find({ parent: channelId }).select('_id');
+      const threadIds = threads.map(thread => thread._id);
+      await Message.deleteMany({ channel: { $in: [channelId, ...threadIds] } });
+
+      // Delete the channel and its threads
+      await Channel.deleteMany({ _id: { $in: [channelId, ...threadIds] } });
+
+      await recordAuditLog({
+        guild: guild._id,
+        actor: req.user._id,
+        action: 'CHANNEL_DELETE',
+        target: channelId,
+        changes: diff(channel, {}, ['name', 'topic', 'type', 'category']),
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients about the deletion
+      const io = req.app.get('io');
+      io.to(`channel:${channelId}`).emit('channelDelete', channel);
+      await emitToChannelViewers(io, guild, channel, 'channelDelete', channel);
+      closeRooms(io, [channelId, ...threadIds].map(id => `channel:${id}`));
+
+      res.json({ message: 'Channel deleted successfully' });
+    } catch (error) {
+      console.error('Delete channel error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+);
+
+// Get messages in a channel
+router.get(
+  '/:id/messages',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS', 'READ_MESSAGE_HISTORY'),
+  async (req, res) => {
+    try {
+      const channelId = req.channel._id;
+      const limit = parseInt(req.query.limit) || 50;
+      const before = req.query.before;
 
-    // Delete all messages in the channel
-    await Message.deleteMany({ channel: channelId });
+      // Validate if before is a valid ObjectId if provided
+      if (before && !mongoose.Types.ObjectId.isValid(before)) {
+        return res.status(400).json({ message: 'Invalid message ID format in before parameter' });
+      }
 
-    // Delete the channel
-    await Channel.findByIdAndDelete(channelId);
+      // Build query
+      let query = { channel: channelId };
+      if (before) {
+        query._id = { $lt: before };
+      }
 
-    // Notify clients about the deletion
-    const io = req.app.get('io');
-    io.to(`channel:${channelId}`).emit('channelDelete', channel);
-    io.to(`guild:${channel.guild}`).emit('channelDelete', channel);
+      // Get messages
+      const messages = await Message.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('author', 'username avatar')
+        .sort({ createdAt: 1 });
 
-    res.json({ message: 'Channel deleted successfully' });
-  } catch (error) {
-    console.error('Delete channel error:', error);
-    res.status(500).json({ message: 'Server error' });
+      res.json(await serializeMessages(messages, req.user._id));
+    } catch (error) {
+      console.error('Get messages error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   }
-});
+);
 
-// Get messages in a channel
-router.get('/:id/messages', authenticate, async (req, res) => {
-  try {
-    const channelId = req.params.id;
-    const limit = parseInt(req.query.limit) || 50;
-    const before = req.query.before;
+// Create a message in a channel
+router.post(
+  '/:id/messages',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS', 'SEND_MESSAGES'),
+  uploadAttachments,
+  sendMessageValidators,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Validate if id is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(channelId)) {
-      return res.status(400).json({ message: 'Invalid channel ID format' });
-    }
+      const { content, reference, mentionAuthor, nonce } = req.body;
+      const result = await sendChannelMessage(req.app.get('io'), req.user._id, req, {
+        content,
+        reference,
+        mentionAuthor,
+        nonce,
+        attachments: req.attachments
+      });
 
-    // Validate if before is a valid ObjectId if provided
-    if (before && !mongoose.Types.ObjectId.isValid(before)) {
-      return res.status(400).json({ message: 'Invalid message ID format in before parameter' });
+      // A retry keeps the files of its first attempt
+      if (result.duplicate) {
+        removeFiles(req.files || []);
+      }
+
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Create message error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+);
 
-    // Find the channel
-    const channel = await Channel.findById(channelId);
-    
-    if (!channel) {
-      return res.status(404).json({ message: 'Channel not found' });
+// Mark a channel as read up to a message
+router.post(
+  '/:id/messages/:messageId/ack',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS', 'READ_MESSAGE_HISTORY'),
+  async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const userId = req.user._id;
+
+      // Validate if id is a valid ObjectId
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(400).json({ message: 'Invalid message ID format' });
+      }
+
+      if (!await Message.exists({ _id: messageId, channel: req.channel._id })) {
+        return res.status(404).json({ message: 'Message not found in this channel' });
+      }
+
+      const ack = await acknowledge(
+        req.app.get('io'),
+        userId,
+        { channel: req.channel._id },
+        messageId,
+        getMentionableRoleIds(req.guild, userId)
+      );
+
+      res.json(ack);
+    } catch (error) {
+      console.error('Acknowledge channel error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
-    
-    // Find the guild to check membership
-    const guild = await Guild.findById(channel.guild);
-    
-    // Check if user is a member of the guild
-    if (!guild.members.includes(req.user._id)) {
-      return res.status(403).json({ message: 'You are not a member of this guild' });
+  }
+);
+
+// Create or replace a permission overwrite for a role or member
+router.put(
+  '/:id/permissions/:targetId',
+  authenticate,
+  [
+    body('type')
+      .isIn(['role', 'member'])
+      .withMessage('Overwrite type must be either role or member'),
+    body('allow')
+      .optional()
+      .isArray()
+      .withMessage('Allow must be an array'),
+    body('allow.*')
+      .isIn(CHANNEL_PERMISSIONS)
+      .withMessage('Unknown permission, or one that can only be set guild-wide'),
+    body('deny')
+      .optional()
+      .isArray()
+      .withMessage('Deny must be an array'),
+    body('deny.*')
+      .isIn(CHANNEL_PERMISSIONS)
+      .withMessage('Unknown permission, or one that can only be set guild-wide')
+  ],
+  loadChannel('id', { types: CHANNEL_TYPES }),
+  requirePermission('MANAGE_CHANNELS'),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, allow = [], deny = [] } = req.body;
+      const { guild, channel } = req;
+      const { targetId } = req.params;
+
+      // Validate if target id is a valid ObjectId
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ message: 'Invalid target ID format' });
+      }
+
+      // Check that the target exists in the guild
+      const targetExists = type === 'role'
+        ? guild.roles.some(role => role._id.toString() === targetId)
+        : guild.members.some(member => member.toString() === targetId);
+
+      if (!targetExists) {
+        return res.status(404).json({ message: type === 'role' ? 'Role not found' : 'Member not found' });
+      }
+
+      // A permission cannot be both allowed and denied
+      if (allow.some(permission => deny.includes(permission))) {
+        return res.status(400).json({ message: 'A permission cannot be both allowed and denied' });
+      }
+
+      // Only the owner and administrators can overwrite permissions they don't have themselves
+      const canOverwriteAll = isOwner(guild, req.user._id) || req.permissions.has('ADMINISTRATOR');
+      if (!canOverwriteAll && [...allow, ...deny].some(permission => !req.permissions.has(permission))) {
+        return res.status(403).json({ message: 'You can only overwrite permissions you have yourself' });
+      }
+
+      const previous = channel.permissionOverwrites.find(overwrite =>
+        overwrite.target.toString() === targetId
+      );
+
+      // Replace any existing overwrite for the target
+      channel.permissionOverwrites = channel.permissionOverwrites.filter(overwrite =>
+        overwrite.target.toString() !== targetId
+      );
+      channel.permissionOverwrites.push({ type, target: targetId, allow, deny });
+
+      await channel.save();
+
+      await recordAuditLog({
+        guild: guild._id,
+        actor: req.user._id,
+        action: 'CHANNEL_OVERWRITE_UPDATE',
+        target: channel._id,
+        changes: diff(
+          previous ? previous.toObject() : {},
+          { type, target: targetId, allow, deny },
+          ['type', 'target', 'allow', 'deny']
+        ),
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients and drop sockets that lost access
+      const io = req.app.get('io');
+      await emitToChannelViewers(io, guild, channel, 'channelUpdate', channel);
+      await evictGuildChannelRooms(io, guild);
+
+      res.json(channel);
+    } catch (error) {
+      console.error('Update channel permissions error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+);
+
+// Delete a permission overwrite
+router.delete(
+  '/:id/permissions/:targetId',
+  authenticate,
+  loadChannel('id', { types: CHANNEL_TYPES }),
+  requirePermission('MANAGE_CHANNELS'),
+  async (req, res) => {
+    try {
+      const { guild, channel } = req;
+      const { targetId } = req.params;
+
+      const previous = channel.permissionOverwrites.find(overwrite =>
+        overwrite.target.toString() === targetId
+      );
+
+      if (!previous) {
+        return res.status(404).json({ message: 'Permission overwrite not found' });
+      }
+
+      channel.permissionOverwrites = channel.permissionOverwrites.filter(overwrite =>
+        overwrite.target.toString() !== targetId
+      );
 
-    // Build query
-    let query = { channel: channelId };
-    if (before) {
-      query._id = { $lt: before };
+      await channel.save();
+
+      await recordAuditLog({
+        guild: guild._id,
+        actor: req.user._id,
+        action: 'CHANNEL_OVERWRITE_DELETE',
+        target: channel._id,
+        changes: diff(previous.toObject(), {}, ['type', 'target', 'allow', 'deny']),
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients and drop sockets that lost access
+      const io = req.app.get('io');
+      await emitToChannelViewers(io, guild, channel, 'channelUpdate', channel);
+      await evictGuildChannelRooms(io, guild);
+
+      res.json(channel);
+    } catch (error) {
+      console.error('Delete channel permissions error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+);
 
-    // Get messages
-    const messages = await Message.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .populate('author', 'username avatar')
-      .sort({ createdAt: 1 });
-    
-    res.json(messages);
-  } catch (error) {
-    console.error('Get messages error:', error);
-    res.status(500).json({ message: 'Server error' });
+// Get the threads of a channel
+router.get(
+  '/:id/threads',
+  authenticate,
+  loadChannel('id', { types: ['text'] }),
+  requirePermission('VIEW_CHANNELS'),
+  async (req, res) => {
+    try {
+      const archived = req.query.archived === 'true';
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+      const threads = await Channel.find({ parent: req.channel._id, archived })
+        .sort({ lastActivityAt: -1 })
+        .limit(limit)
+        .populate('owner', 'username avatar');
+
+      res.json(threads);
+    } catch (error) {
+      console.error('Get threads error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   }
-});
+);
 
-// Create a message in a channel
+// Start a thread from a message
 router.post(
-  '/:id/messages',
+  '/:id/messages/:messageId/threads',
   authenticate,
   [
-    body('content')
+    body('name')
       .isString()
       .trim()
-      .isLength({ min: 1, max: 2000 })
-      .withMessage('Message content must be between 1 and 2000 characters')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Thread name must be between 1 and 100 characters'),
+    body('autoArchiveDuration')
+      .optional()
+      .isIn(Channel.AUTO_ARCHIVE_DURATIONS)
+      .withMessage(`Auto archive duration must be one of ${Channel.AUTO_ARCHIVE_DURATIONS.join(', ')} minutes`)
+      .toInt()
   ],
+  loadChannel('id', { types: ['text'] }),
+  requirePermission('VIEW_CHANNELS', 'SEND_MESSAGES'),
   async (req, res) => {
     try {
       // Check for validation errors
@@ -259,62 +470,161 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { content } = req.body;
-      const channelId = req.params.id;
+      const { name, autoArchiveDuration = 1440 } = req.body;
+      const { guild, channel } = req;
+      const { messageId } = req.params;
       const userId = req.user._id;
 
-      // Validate if id is a valid ObjectId
-      if (!mongoose.Types.ObjectId.isValid(channelId)) {
-        return res.status(400).json({ message: 'Invalid channel ID format' });
+      // Validate if message id is a valid ObjectId
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(400).json({ message: 'Invalid message ID format' });
       }
-
-      // Find the channel
-      const channel = await Channel.findById(channelId);
       
-      if (!channel) {
-        return res.status(404).json({ message: 'Channel not found' });
+      // Timed out members cannot start threads
+      if (guild.getActiveTimeout(userId)) {
+        return res.status(403).json({ message: 'You are timed out in this guild' });
       }
+
+      // Find the starter message
+      const message = await Message.findOne({ _id: messageId, channel: channel._id });
       
-      // Find the guild to check membership and permissions
-      const guild = await Guild.findById(channel.guild);
-      
-      // Check if user is a member of the guild
-      if (!guild.members.includes(userId)) {
-        return res.status(403).json({ message: 'You are not a member of this guild' });
+      if (!message) {
+        return res.status(404).json({ message: 'Message not found' });
       }
       
-      // Check if user has permission to send messages
-      const canSendMessages = guild.roles.some(role => 
-        role.members.includes(userId) && 
-        role.permissions.includes('SEND_MESSAGES')
-      );
-      
-      if (!canSendMessages) {
-        return res.status(403).json({ message: 'You do not have permission to send messages in this channel' });
+      if (message.thread) {
+        return res.status(400).json({ message: 'A thread already exists for this message' });
       }
 
-      // Create new message
-      const message = new Message({
-        content,
-        author: userId,
-        channel: channelId
+      // Create the thread
+      const thread = new Channel({
+        name,
+        type: 'thread',
+        guild: guild._id,
+        category: channel.category,
+        parent: channel._id,
+        starterMessage: message._id,
+        owner: userId,
+        threadMembers: [userId],
+        archived: false,
+        locked: false,
+        autoArchiveDuration,
+        lastActivityAt: new Date()
       });
 
-      await message.save();
+      try {
+        await thread.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(400).json({ message: 'A thread already exists for this message' });
+        }
+        throw error;
+      }
 
-      // Populate author
+      // Link the starter message to the thread
+      message.thread = thread._id;
+      await message.save();
       await message.populate('author', 'username avatar');
 
-      // Notify clients about the new message
+      // Notify clients about the new thread
       const io = req.app.get('io');
-      io.to(`channel:${channelId}`).emit('newMessage', message);
+      const [messageData] = await serializeMessages([message]);
+      io.to(`channel:${channel._id}`).emit('messageUpdate', messageData);
+      await emitToChannelViewers(io, guild, channel, 'threadCreate', thread);
 
-      res.status(201).json(message);
+      res.status(201).json(thread);
     } catch (error) {
-      console.error('Create message error:', error);
+      console.error('Create thread error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get the pinned messages in a channel
+router.get(
+  '/:id/pins',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS', 'READ_MESSAGE_HISTORY'),
+  async (req, res) => {
+    try {
+      const messages = await Message.find({ channel: req.channel._id, pinned: true })
+        .sort({ pinnedAt: -1 })
+        .populate('author', 'username avatar');
+
+      res.json(await serializeMessages(messages, req.user._id));
+    } catch (error) {
+      console.error('Get pins error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   }
 );
 
+// Pin or unpin a message in a channel
+const updateChannelPin = (pinned) => async (req, res) => {
+  try {
+    const { guild, channel } = req;
+    const { messageId } = req.params;
+
+    // Validate if message id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID format' });
+    }
+
+    const message = await Message.findOne({ _id: messageId, channel: channel._id });
+    
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    if (message.pinned === pinned) {
+      return res.status(400).json({ message: pinned ? 'Message is already pinned' : 'Message is not pinned' });
+    }
+    
+    if (!await setMessagePinned(message, pinned)) {
+      return res.status(400).json({ message: `A channel cannot have more than ${MAX_PINS} pinned messages` });
+    }
+
+    await recordAuditLog({
+      guild: guild._id,
+      actor: req.user._id,
+      action: pinned ? 'MESSAGE_PIN' : 'MESSAGE_UNPIN',
+      target: message._id,
+      changes: [{ key: 'channel', before: null, after: channel._id }],
+      reason: getAuditReason(req)
+    });
+
+    // Notify clients about the pins change
+    const io = req.app.get('io');
+    io.to(`channel:${channel._id}`).emit('channelPinsUpdate', {
+      channel: channel._id,
+      messageId: message._id,
+      pinned
+    });
+
+    res.json({ message: pinned ? 'Message pinned successfully' : 'Message unpinned successfully' });
+  } catch (error) {
+    console.error('Update pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Pin a message in a channel
+router.put(
+  '/:id/pins/:messageId',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS', 'MANAGE_MESSAGES'),
+  updateChannelPin(true)
+);
+
+// Unpin a message in a channel
+router.delete(
+  '/:id/pins/:messageId',
+  authenticate,
+  loadChannel('id'),
+  requirePermission('VIEW_CHANNELS', 'MANAGE_MESSAGES'),
+  updateChannelPin(false)
+);
+
 module.exports = router;
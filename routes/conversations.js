@@ -1,11 +1,28 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const ReadState = require('../models/ReadState');
 const { authenticate } = require('../middleware/auth');
+const { loadConversation } = require('../middleware/permissions');
+const upload = require('../middleware/upload');
+const { uploadAttachments, removeFiles } = upload;
+const {
+  serializeMessages,
+  setMessagePinned,
+  MAX_PINS
+} = require('../utils/messages');
+const { searchValidators, searchMessages } = require('../utils/search');
+const { acknowledge, getConversationReadStates } = require('../utils/readStates');
+const { populateConversation, getConversationRooms, postSystemMessage } = require('../utils/conversations');
+const { includesId } = require('../utils/permissions');
+const { hasBlockBetween } = require('../utils/relationships');
+const { sendMessageValidators, sendConversationMessage } = require('../utils/messageActions');
+const { joinUserSockets } = require('../utils/socket');
 
 // Get all conversations for current user
 router.get('/', authenticate, async (req, res) => {
@@ -20,22 +37,43 @@ router.get('/', authenticate, async (req, res) => {
       .populate('creator', 'username avatar')
       .populate('lastMessage')
       .sort({ updatedAt: -1 });
+
+    // Add the user's unread flag and mention count to each conversation
+    const readStates = await getConversationReadStates(conversations, userId);
     
-    res.json(conversations);
+    res.json(conversations.map(conversation => ({
+      ...conversation.toObject(),
+      ...readStates.get(conversation._id.toString())
+    })));
   } catch (error) {
     console.error('Get conversations error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create a new conversation
+// Create a new conversation. A single recipient opens (or returns) the 1:1
+// DM with them; several recipients or a name create a group conversation.
 router.post(
   '/',
   authenticate,
   [
     body('recipient')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid recipient ID'),
+    body('recipients')
+      .optional()
+      .isArray({ min: 1, max: Conversation.MAX_GROUP_PARTICIPANTS - 1 })
+      .withMessage(`Recipients must be an array of 1 to ${Conversation.MAX_GROUP_PARTICIPANTS - 1} user IDs`),
+    body('recipients.*')
       .isMongoId()
-      .withMessage('Invalid recipient ID')
+      .withMessage('Invalid recipient ID'),
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Conversation name must be between 1 and 100 characters')
   ],
   async (req, res) => {
     try {
@@ -45,43 +83,66 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { recipient } = req.body;
+      const { recipient, recipients = [], name } = req.body;
       const userId = req.user._id;
 
-      // Check if recipient exists
-      const recipientUser = await User.findById(recipient);
+      const recipientIds = [...new Set([...recipients, ...(recipient ? [recipient] : [])])]
+        .filter(id => id !== userId.toString());
+
+      if (recipientIds.length === 0) {
+        return res.status(400).json({ message: 'At least one other recipient is required' });
+      }
+
+      if (recipientIds.length >= Conversation.MAX_GROUP_PARTICIPANTS) {
+        return res.status(400).json({ message: `A group conversation can have at most ${Conversation.MAX_GROUP_PARTICIPANTS} participants` });
+      }
+
+      // Check if recipients exist
+      const recipientCount = await User.countDocuments({ _id: { $in: recipientIds } });
       
-      if (!recipientUser) {
+      if (recipientCount !== recipientIds.length) {
         return res.status(404).json({ message: 'Recipient not found' });
       }
+
+      // Blocks either way keep users out of conversations with each other
+      if (await hasBlockBetween(userId, recipientIds)) {
+        return res.status(403).json({ message: 'You cannot start a conversation with this user' });
+      }
+
+      const isGroup = recipientIds.length > 1 || Boolean(name);
       
-      // Check if conversation already exists
-      const existingConversation = await Conversation.findOne({
-        participants: { $all: [userId, recipient] }
-      })
-        .populate('participants', 'username avatar status')
-        .populate('creator', 'username avatar')
-        .populate('lastMessage');
-      
-      if (existingConversation) {
-        return res.json(existingConversation);
+      // A 1:1 DM is unique per pair of users; groups with the same people are not
+      if (!isGroup) {
+        const existingConversation = await Conversation.findOne({
+          type: { $ne: 'group' },
+          participants: { $all: [userId, recipientIds[0]], $size: 2 }
+        });
+        
+        if (existingConversation) {
+          return res.json(await populateConversation(existingConversation));
+        }
       }
 
       // Create new conversation
       const conversation = new Conversation({
-        participants: [userId, recipient],
-        creator: userId
+        type: isGroup ? 'group' : 'dm',
+        participants: [userId, ...recipientIds],
+        creator: userId,
+        owner: isGroup ? userId : null,
+        name: isGroup ? name || null : null
       });
 
       await conversation.save();
+      await populateConversation(conversation);
 
-      // Populate fields
-      await conversation.populate('participants', 'username avatar status');
-      await conversation.populate('creator', 'username avatar');
-
-      // Notify recipient about the new conversation
+      // Subscribe every participant to the new conversation and notify recipients
       const io = req.app.get('io');
-      io.to(`user:${recipient}`).emit('newConversation', conversation);
+      conversation.participants.forEach(participant => {
+        joinUserSockets(io, participant._id, `conversation:${conversation._id}`);
+      });
+      recipientIds.forEach(id => {
+        io.to(`user:${id}`).emit('newConversation', conversation);
+      });
 
       res.status(201).json(conversation);
     } catch (error) {
@@ -91,6 +152,51 @@ router.post(
   }
 );
 
+// Search messages across the user's conversations
+router.get(
+  '/search',
+  authenticate,
+  [
+    ...searchValidators,
+    query('conversation')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid conversation ID')
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user._id;
+
+      // Limit the search to conversations the user takes part in
+      const conversationFilter = { participants: userId };
+      if (req.query.conversation) conversationFilter._id = req.query.conversation;
+      
+      const conversations = await Conversation.find(conversationFilter).select('_id');
+      
+      if (req.query.conversation && conversations.length === 0) {
+        return res.status(403).json({ message: 'You are not a participant in this conversation' });
+      }
+
+      const results = await searchMessages(
+        { conversationId: { $in: conversations.map(conversation => conversation._id) } },
+        req.query,
+        userId
+      );
+
+      res.json(results);
+    } catch (error) {
+      console.error('Search conversation messages error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // Get conversation by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -152,7 +258,7 @@ router.get('/:id/messages', authenticate, async (req, res) => {
       .populate('author', 'username avatar')
       .sort({ createdAt: 1 });
     
-    res.json(messages);
+    res.json(await serializeMessages(messages, userId));
   } catch (error) {
     console.error('Get conversation messages error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -163,12 +269,139 @@ router.get('/:id/messages', authenticate, async (req, res) => {
 router.post(
   '/:id/messages',
   authenticate,
+  loadConversation('id'),
+  uploadAttachments,
+  sendMessageValidators,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { content, reference, mentionAuthor, nonce } = req.body;
+      const result = await sendConversationMessage(req.app.get('io'), req.user._id, req.conversation, {
+        content,
+        reference,
+        mentionAuthor,
+        nonce,
+        attachments: req.attachments
+      });
+
+      // A retry keeps the files of its first attempt
+      if (result.duplicate) {
+        removeFiles(req.files || []);
+      }
+
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Send message error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get the pinned messages in a conversation
+router.get('/:id/pins', authenticate, loadConversation('id'), async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const messages = await Message.find({ conversationId: req.conversation._id, pinned: true })
+      .sort({ pinnedAt: -1 })
+      .populate('author', 'username avatar');
+    
+    res.json(await serializeMessages(messages, userId));
+  } catch (error) {
+    console.error('Get conversation pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin or unpin a message in a conversation; any participant may do so
+const updateConversationPin = (pinned) => async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const conversationId = req.conversation._id;
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID format' });
+    }
+
+    const message = await Message.findOne({ _id: messageId, conversationId });
+    
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    if (message.pinned === pinned) {
+      return res.status(400).json({ message: pinned ? 'Message is already pinned' : 'Message is not pinned' });
+    }
+    
+    if (!await setMessagePinned(message, pinned)) {
+      return res.status(400).json({ message: `A conversation cannot have more than ${MAX_PINS} pinned messages` });
+    }
+
+    // Notify participants about the pins change
+    const io = req.app.get('io');
+    io.to(`conversation:${conversationId}`).emit('channelPinsUpdate', {
+      conversationId,
+      messageId: message._id,
+      pinned
+    });
+
+    res.json({ message: pinned ? 'Message pinned successfully' : 'Message unpinned successfully' });
+  } catch (error) {
+    console.error('Update conversation pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Pin a message in a conversation
+router.put('/:id/pins/:messageId', authenticate, loadConversation('id'), updateConversationPin(true));
+
+// Unpin a message in a conversation
+router.delete('/:id/pins/:messageId', authenticate, loadConversation('id'), updateConversationPin(false));
+
+// Mark a conversation as read up to a message
+router.post('/:id/messages/:messageId/ack', authenticate, loadConversation('id'), async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { conversation } = req;
+    const userId = req.user._id;
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID format' });
+    }
+
+    if (!await Message.exists({ _id: messageId, conversationId: conversation._id })) {
+      return res.status(404).json({ message: 'Message not found in this conversation' });
+    }
+
+    const ack = await acknowledge(req.app.get('io'), userId, { conversationId: conversation._id }, messageId);
+
+    res.json(ack);
+  } catch (error) {
+    console.error('Acknowledge conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a group conversation or change its icon; any participant may do so
+router.put(
+  '/:id',
+  authenticate,
+  loadConversation('id'),
+  upload.single('icon'),
   [
-    body('content')
+    body('name')
+      .optional()
       .isString()
       .trim()
-      .isLength({ min: 1, max: 2000 })
-      .withMessage('Message content must be between 1 and 2000 characters')
+      .isLength({ max: 100 })
+      .withMessage('Conversation name must be at most 100 characters')
   ],
   async (req, res) => {
     try {
@@ -178,51 +411,139 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { content } = req.body;
-      const conversationId = req.params.id;
-      const userId = req.user._id;
+      const { conversation } = req;
+      const { name } = req.body;
 
-      // Find the conversation
-      const conversation = await Conversation.findById(conversationId);
-      
-      if (!conversation) {
-        return res.status(404).json({ message: 'Conversation not found' });
-      }
-      
-      // Check if user is a participant
-      if (!conversation.participants.includes(userId)) {
-        return res.status(403).json({ message: 'You are not a participant in this conversation' });
+      if (conversation.type !== 'group') {
+        return res.status(400).json({ message: 'Only group conversations can be updated' });
       }
 
-      // Create new message
-      const message = new Message({
-        content,
-        author: userId,
-        conversationId
-      });
+      // An empty name clears it
+      if (name !== undefined) conversation.name = name || null;
+      if (req.file) conversation.icon = req.file.image;
 
-      await message.save();
-
-      // Update conversation with last message
-      conversation.lastMessage = message._id;
       await conversation.save();
+      await populateConversation(conversation);
 
-      // Populate author
-      await message.populate('author', 'username avatar');
-
-      // Notify participants about the new message
+      // Notify participants about the update
       const io = req.app.get('io');
-      conversation.participants.forEach(participantId => {
-        io.to(`user:${participantId}`).emit('newMessage', message);
-      });
-      io.to(`conversation:${conversationId}`).emit('newMessage', message);
+      io.to(getConversationRooms(conversation)).emit('conversationUpdate', conversation);
 
-      res.status(201).json(message);
+      res.json(conversation);
     } catch (error) {
-      console.error('Send message error:', error);
+      console.error('Update conversation error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   }
 );
 
+// Add a participant to a group conversation; any participant may do so
+router.put('/:id/participants/:userId', authenticate, loadConversation('id'), async (req, res) => {
+  try {
+    const { conversation } = req;
+    const { userId: targetId } = req.params;
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Participants can only be added to group conversations' });
+    }
+
+    if (includesId(conversation.participants, targetId)) {
+      return res.status(400).json({ message: 'User is already a participant' });
+    }
+
+    if (conversation.participants.length >= Conversation.MAX_GROUP_PARTICIPANTS) {
+      return res.status(400).json({ message: `A group conversation can have at most ${Conversation.MAX_GROUP_PARTICIPANTS} participants` });
+    }
+
+    if (!await User.exists({ _id: targetId })) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (await hasBlockBetween(req.user._id, [targetId])) {
+      return res.status(403).json({ message: 'You cannot add this user to the conversation' });
+    }
+
+    conversation.participants.push(targetId);
+    await conversation.save();
+
+    const io = req.app.get('io');
+    await postSystemMessage(io, conversation, 'participantAdd', req.user._id, targetId);
+    await populateConversation(conversation);
+
+    // The new participant gets the conversation, everyone else its new participant list
+    io.to(`user:${targetId}`).emit('newConversation', conversation);
+    joinUserSockets(io, targetId, `conversation:${conversation._id}`);
+    io.to(getConversationRooms(conversation)).except(`user:${targetId}`).emit('conversationUpdate', conversation);
+
+    res.json(conversation);
+  } catch (error) {
+    console.error('Add participant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a participant from a group conversation, or leave it with @me.
+// Only the owner can remove others; when the owner leaves, ownership passes
+// to the longest-standing participant, and an empty group is deleted.
+router.delete('/:id/participants/:userId', authenticate, loadConversation('id'), async (req, res) => {
+  try {
+    const { conversation } = req;
+    const userId = req.user._id;
+    const targetId = req.params.userId === '@me' ? userId.toString() : req.params.userId;
+    const leaving = targetId === userId.toString();
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Participants can only be removed from group conversations' });
+    }
+
+    if (!includesId(conversation.participants, targetId)) {
+      return res.status(404).json({ message: 'User is not a participant' });
+    }
+
+    if (!leaving && conversation.owner.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'Only the owner can remove participants' });
+    }
+
+    conversation.participants = conversation.participants.filter(id => id.toString() !== targetId);
+
+    const io = req.app.get('io');
+
+    // The removed user loses the conversation on all of their devices
+    io.to(`user:${targetId}`).emit('conversationDelete', { _id: conversation._id });
+    io.in(`user:${targetId}`).socketsLeave(`conversation:${conversation._id}`);
+
+    if (conversation.participants.length === 0) {
+      await Message.deleteMany({ conversationId: conversation._id });
+      await ReadState.deleteMany({ conversationId: conversation._id });
+      await Conversation.deleteOne({ _id: conversation._id });
+      return res.json({ message: 'Left the conversation' });
+    }
+
+    if (conversation.owner.toString() === targetId) {
+      conversation.owner = conversation.participants[0];
+    }
+
+    await conversation.save();
+    await postSystemMessage(io, conversation, leaving ? 'participantLeave' : 'participantRemove', userId, targetId);
+    await populateConversation(conversation);
+
+    io.to(getConversationRooms(conversation)).emit('conversationUpdate', conversation);
+
+    res.json({ message: leaving ? 'Left the conversation' : 'Participant removed successfully' });
+  } catch (error) {
+    console.error('Remove participant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,39 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Guild = require('../models/Guild');
 const Channel = require('../models/Channel');
 const User = require('../models/User');
-const { authenticate, isGuildAdmin } = require('../middleware/auth');
+const Message = require('../models/Message');
+const Ban = require('../models/Ban');
+const Invite = require('../models/Invite');
+const ReadState = require('../models/ReadState');
+const { authenticate } = require('../middleware/auth');
+const { loadGuild, requirePermission, requireOwner, requireHierarchy } = require('../middleware/permissions');
 const upload = require('../middleware/upload');
+const {
+  PERMISSIONS,
+  computeBasePermissions,
+  computeChannelPermissions,
+  canViewChannel,
+  isOwner,
+  getHighestRolePosition,
+  outranks,
+  canManageRole
+} = require('../utils/permissions');
+const {
+  emitToChannelViewers,
+  evictGuildChannelRooms,
+  joinUserSockets,
+  leaveGuildRooms,
+  closeRooms
+} = require('../utils/socket');
+const { diff, getAuditReason, recordAuditLog } = require('../utils/auditLog');
+const AuditLog = require('../models/AuditLog');
+const { searchValidators, searchMessages } = require('../utils/search');
+const { getChannelReadStates } = require('../utils/readStates');
 
 // Get all guilds for current user
 router.get('/', authenticate, async (req, res) => {
@@ -51,7 +77,7 @@ router.post(
         name,
         owner: userId,
         members: [userId],
-        icon: req.file ? `/${req.file.path}` : null
+        icon: req.file ? req.file.image : null
       });
 
       await guild.save();
@@ -65,6 +91,9 @@ router.post(
 
       await generalChannel.save();
 
+      // Subscribe the owner's connected devices to the new guild
+      joinUserSockets(req.app.get('io'), userId, `guild:${guild._id}`);
+
       // Get the guild with populated owner
       const populatedGuild = await Guild.findById(guild._id).populate('owner', 'username avatar');
 
@@ -77,25 +106,12 @@ router.post(
 );
 
 // Get guild by ID
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, loadGuild('id'), requirePermission(), async (req, res) => {
   try {
-    // Validate if id is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid guild ID format' });
-    }
-    
-    const guild = await Guild.findById(req.params.id)
-      .populate('owner', 'username avatar')
-      .populate('members', 'username avatar status');
-    
-    if (!guild) {
-      return res.status(404).json({ message: 'Guild not found' });
-    }
-    
-    // Check if user is a member of the guild
-    if (!guild.members.some(member => member._id.toString() === req.user._id.toString())) {
-      return res.status(403).json({ message: 'You are not a member of this guild' });
-    }
+    const guild = await req.guild.populate([
+      { path: 'owner', select: 'username avatar' },
+      { path: 'members', select: 'username avatar status' }
+    ]);
     
     res.json(guild);
   } catch (error) {
@@ -108,6 +124,8 @@ router.get('/:id', authenticate, async (req, res) => {
 router.put(
   '/:id',
   authenticate,
+  loadGuild('id'),
+  requirePermission('MANAGE_GUILD'),
   upload.single('icon'),
   [
     body('name')
@@ -126,36 +144,30 @@ router.put(
       }
 
       const { name } = req.body;
-      const guildId = req.params.id;
-
-      // Validate if id is a valid ObjectId
-      if (!mongoose.Types.ObjectId.isValid(guildId)) {
-        return res.status(400).json({ message: 'Invalid guild ID format' });
-      }
-
-      // Find the guild
-      let guild = await Guild.findById(guildId);
-      
-      if (!guild) {
-        return res.status(404).json({ message: 'Guild not found' });
-      }
-      
-      // Check if user is the owner
-      if (guild.owner.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Only the guild owner can update the guild' });
-      }
+      const guildId = req.guild._id;
 
       // Update guild fields
       const updateData = {};
       if (name) updateData.name = name;
-      if (req.file) updateData.icon = `/${req.file.path}`;
+      if (req.file) updateData.icon = req.file.image;
 
-      guild = await Guild.findByIdAndUpdate(
+      const before = { name: req.guild.name, icon: req.guild.icon };
+
+      const guild = await Guild.findByIdAndUpdate(
         guildId,
         { $set: updateData },
         { new: true, runValidators: true }
       ).populate('owner', 'username avatar');
 
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'GUILD_UPDATE',
+        target: guildId,
+        changes: diff(before, guild, ['name', 'icon']),
+        reason: getAuditReason(req)
+      });
+
       // Notify clients about the update
       const io = req.app.get('io');
       io.to(`guild:${guildId}`).emit('guildUpdate', guild);
@@ -169,36 +181,29 @@ router.put(
 );
 
 // Delete guild
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, loadGuild('id'), requireOwner, async (req, res) => {
   try {
-    const guildId = req.params.id;
-
-    // Validate if id is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(guildId)) {
-      return res.status(400).json({ message: 'Invalid guild ID format' });
-    }
-
-    // Find the guild
-    const guild = await Guild.findById(guildId);
-    
-    if (!guild) {
-      return res.status(404).json({ message: 'Guild not found' });
-    }
-    
-    // Check if user is the owner
-    if (guild.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only the guild owner can delete the guild' });
-    }
+    const guildId = req.guild._id;
 
-    // Delete all channels in the guild
+    // Delete all channels in the guild, with their messages and read states
+    const channels = await Channel.find({ guild: guildId }).select('_id');
+    const channelIds = channels.map(channel => channel._id);
+    await Message.deleteMany({ channel: { $in: channelIds } });
+    await ReadState.deleteMany({ channel: { $in: channelIds } });
     await Channel.deleteMany({ guild: guildId });
 
+    // Delete the guild's bans, invites and audit log
+    await Ban.deleteMany({ guild: guildId });
+    await Invite.deleteMany({ guild: guildId });
+    await AuditLog.deleteMany({ guild: guildId });
+
     // Delete the guild
     await Guild.findByIdAndDelete(guildId);
 
     // Notify clients about the deletion
     const io = req.app.get('io');
     io.to(`guild:${guildId}`).emit('guildDelete', { _id: guildId });
+    closeRooms(io, [`guild:${guildId}`, ...channelIds.map(id => `channel:${id}`)]);
 
     res.json({ message: 'Guild deleted successfully' });
   } catch (error) {
@@ -208,31 +213,21 @@ router.delete('/:id', authenticate, async (req, res) => {
 });
 
 // Get all channels in a guild
-router.get('/:id/channels', authenticate, async (req, res) => {
+router.get('/:id/channels', authenticate, loadGuild('id'), requirePermission(), async (req, res) => {
   try {
-    const guildId = req.params.id;
+    const { guild } = req;
 
-    // Validate if id is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(guildId)) {
-      return res.status(400).json({ message: 'Invalid guild ID format' });
-    }
-
-    // Find the guild
-    const guild = await Guild.findById(guildId);
-    
-    if (!guild) {
-      return res.status(404).json({ message: 'Guild not found' });
-    }
-    
-    // Check if user is a member of the guild
-    if (!guild.members.includes(req.user._id)) {
-      return res.status(403).json({ message: 'You are not a member of this guild' });
-    }
+    // Get all channels the user can view
+    const channels = (await Channel.find({ guild: guild._id, type: { $ne: 'thread' } }).sort({ category: 1, name: 1 }))
+      .filter(channel => canViewChannel(guild, channel, req.user._id));
 
-    // Get all channels
-    const channels = await Channel.find({ guild: guildId }).sort({ category: 1, name: 1 });
+    // Add the user's unread flag and mention count to each channel
+    const readStates = await getChannelReadStates(guild, channels, req.user._id);
     
-    res.json(channels);
+    res.json(channels.map(channel => ({
+      ...channel.toObject(),
+      ...readStates.get(channel._id.toString())
+    })));
   } catch (error) {
     console.error('Get channels error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -266,6 +261,8 @@ router.post(
       .isString()
       .trim()
   ],
+  loadGuild('id'),
+  requirePermission('MANAGE_CHANNELS'),
   async (req, res) => {
     try {
       // Check for validation errors
@@ -275,35 +272,8 @@ router.post(
       }
 
       const { name, topic, type = 'text', category = 'general' } = req.body;
-      const guildId = req.params.id;
-
-      // Validate if id is a valid ObjectId
-      if (!mongoose.Types.ObjectId.isValid(guildId)) {
-        return res.status(400).json({ message: 'Invalid guild ID format' });
-      }
-
-      // Find the guild
-      const guild = await Guild.findById(guildId);
-      
-      if (!guild) {
-        return res.status(404).json({ message: 'Guild not found' });
-      }
-      
-      // Check if user has permission to create channels
-      const isAdmin = guild.owner.toString() === req.user._id.toString() ||
-                     guild.roles.some(role => 
-                       role.permissions.includes('ADMINISTRATOR') && 
-                       role.members.includes(req.user._id)
-                     );
-      
-      const canManageChannels = isAdmin || guild.roles.some(role => 
-        role.permissions.includes('MANAGE_CHANNELS') && 
-        role.members.includes(req.user._id)
-      );
-      
-      if (!canManageChannels) {
-        return res.status(403).json({ message: 'You do not have permission to create channels' });
-      }
+      const { guild } = req;
+      const guildId = guild._id;
 
       // Create new channel
       const channel = new Channel({
@@ -316,9 +286,18 @@ router.post(
 
       await channel.save();
 
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'CHANNEL_CREATE',
+        target: channel._id,
+        changes: diff({}, channel, ['name', 'topic', 'type', 'category']),
+        reason: getAuditReason(req)
+      });
+
       // Notify clients about the new channel
       const io = req.app.get('io');
-      io.to(`guild:${guildId}`).emit('newChannel', channel);
+      await emitToChannelViewers(io, guild, channel, 'newChannel', channel);
 
       res.status(201).json(channel);
     } catch (error) {
@@ -358,65 +337,55 @@ router.get('/:id/members', authenticate, async (req, res) => {
 });
 
 // Remove a member from a guild
-router.delete('/:id/members/:userId', authenticate, async (req, res) => {
-  try {
-    const { id: guildId, userId } = req.params;
-
-    // Validate if ids are valid ObjectIds
-    if (!mongoose.Types.ObjectId.isValid(guildId) || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: 'Invalid ID format' });
-    }
+router.delete(
+  '/:id/members/:userId',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('KICK_MEMBERS'),
+  requireHierarchy('userId'),
+  async (req, res) => {
+    try {
+      const { guild } = req;
+      const guildId = guild._id;
+      const { userId } = req.params;
+      
+      // Check that the user is a member
+      if (!guild.members.some(member => member.toString() === userId)) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
 
-    // Find the guild
-    const guild = await Guild.findById(guildId);
-    
-    if (!guild) {
-      return res.status(404).json({ message: 'Guild not found' });
-    }
-    
-    // Check if user has permission to kick members
-    const isAdmin = guild.owner.toString() === req.user._id.toString() ||
-                   guild.roles.some(role => 
-                     role.permissions.includes('ADMINISTRATOR') && 
-                     role.members.includes(req.user._id)
-                   );
-    
-    const canKickMembers = isAdmin || guild.roles.some(role => 
-      role.permissions.includes('KICK_MEMBERS') && 
-      role.members.includes(req.user._id)
-    );
-    
-    if (!canKickMembers) {
-      return res.status(403).json({ message: 'You do not have permission to kick members' });
-    }
-    
-    // Cannot kick the owner
-    if (guild.owner.toString() === userId) {
-      return res.status(403).json({ message: 'Cannot remove the guild owner' });
-    }
+      // Remove member from guild
+      await Guild.findByIdAndUpdate(guildId, {
+        $pull: { members: userId }
+      });
 
-    // Remove member from guild
-    await Guild.findByIdAndUpdate(guildId, {
-      $pull: { members: userId }
-    });
+      // Remove member from all roles
+      await Guild.updateMany(
+        { _id: guildId, 'roles.members': userId },
+        { $pull: { 'roles.$[].members': userId } }
+      );
 
-    // Remove member from all roles
-    await Guild.updateMany(
-      { _id: guildId, 'roles.members': userId },
-      { $pull: { 'roles.$[].members': userId } }
-    );
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'MEMBER_KICK',
+        target: userId,
+        reason: getAuditReason(req)
+      });
 
-    // Notify clients about the member removal
-    const io = req.app.get('io');
-    io.to(`guild:${guildId}`).emit('memberRemove', { guildId, userId });
-    io.to(`user:${userId}`).emit('kickedFromGuild', { guildId, name: guild.name });
+      // Notify clients about the member removal
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('memberRemove', { guildId, userId });
+      io.to(`user:${userId}`).emit('kickedFromGuild', { guildId, name: guild.name });
+      await leaveGuildRooms(io, guildId, userId);
 
-    res.json({ message: 'Member removed successfully' });
-  } catch (error) {
-    console.error('Remove member error:', error);
-    res.status(500).json({ message: 'Server error' });
+      res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+      console.error('Remove member error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   }
-});
+);
 
 // Create a role in a guild
 router.post(
@@ -436,8 +405,13 @@ router.post(
     body('permissions')
       .optional()
       .isArray()
-      .withMessage('Permissions must be an array')
+      .withMessage('Permissions must be an array'),
+    body('permissions.*')
+      .isIn(PERMISSIONS)
+      .withMessage('Unknown permission')
   ],
+  loadGuild('id'),
+  requirePermission('MANAGE_ROLES'),
   async (req, res) => {
     try {
       // Check for validation errors
@@ -447,42 +421,26 @@ router.post(
       }
 
       const { name, color, permissions = [] } = req.body;
-      const guildId = req.params.id;
-
-      // Validate if id is a valid ObjectId
-      if (!mongoose.Types.ObjectId.isValid(guildId)) {
-        return res.status(400).json({ message: 'Invalid guild ID format' });
-      }
-
-      // Find the guild
-      const guild = await Guild.findById(guildId);
-      
-      if (!guild) {
-        return res.status(404).json({ message: 'Guild not found' });
-      }
-      
-      // Check if user has permission to manage roles
-      const isAdmin = guild.owner.toString() === req.user._id.toString() ||
-                     guild.roles.some(role => 
-                       role.permissions.includes('ADMINISTRATOR') && 
-                       role.members.includes(req.user._id)
-                     );
-      
-      const canManageRoles = isAdmin || guild.roles.some(role => 
-        role.permissions.includes('MANAGE_ROLES') && 
-        role.members.includes(req.user._id)
-      );
+      const { guild } = req;
+      const guildId = guild._id;
       
-      if (!canManageRoles) {
-        return res.status(403).json({ message: 'You do not have permission to manage roles' });
+      // Users cannot grant permissions they do not have themselves
+      if (!permissions.every(permission => req.permissions.has(permission))) {
+        return res.status(403).json({ message: 'You cannot grant permissions you do not have' });
       }
 
+      // New roles start at the bottom, just above @everyone, so that whoever
+      // created them can still manage them; the other roles move up
+      guild.roles
+        .filter(role => role.position >= 1)
+        .forEach(role => { role.position += 1; });
+
       // Create new role
       const newRole = {
         name,
         color: color || '#99AAB5',
         permissions,
-        position: guild.roles.length,
+        position: 1,
         members: []
       };
 
@@ -492,9 +450,19 @@ router.post(
       // Get the newly created role
       const role = guild.roles[guild.roles.length - 1];
 
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'ROLE_CREATE',
+        target: role._id,
+        changes: diff({}, role, ['name', 'color', 'permissions']),
+        reason: getAuditReason(req)
+      });
+
       // Notify clients about the new role
       const io = req.app.get('io');
       io.to(`guild:${guildId}`).emit('newRole', { guildId, role });
+      io.to(`guild:${guildId}`).emit('rolesUpdate', { guildId, roles: guild.roles });
 
       res.status(201).json(role);
     } catch (error) {
@@ -504,4 +472,780 @@ router.post(
   }
 );
 
+// Check whether the current user may change a role, returning an error message if not
+const getRoleGuardError = (guild, userId, role) => {
+  if (role.managed && !isOwner(guild, userId)) {
+    return 'Only the guild owner can change this role';
+  }
+
+  if (!canManageRole(guild, userId, role)) {
+    return 'You cannot manage a role that is not below your highest role';
+  }
+
+  return null;
+};
+
+// Update a role in a guild
+router.put(
+  '/:id/roles/:roleId',
+  authenticate,
+  [
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Role name must be between 1 and 100 characters'),
+    body('color')
+      .optional()
+      .isString()
+      .matches(/^#[0-9A-F]{6}$/i)
+      .withMessage('Color must be a valid hex color'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array'),
+    body('permissions.*')
+      .isIn(PERMISSIONS)
+      .withMessage('Unknown permission')
+  ],
+  loadGuild('id'),
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, color, permissions } = req.body;
+      const { guild } = req;
+      const guildId = guild._id;
+      const userId = req.user._id;
+
+      // Find the role
+      const role = mongoose.Types.ObjectId.isValid(req.params.roleId) && guild.roles.id(req.params.roleId);
+      
+      if (!role) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+      
+      const guardError = getRoleGuardError(guild, userId, role);
+      if (guardError) {
+        return res.status(403).json({ message: guardError });
+      }
+      
+      // The @everyone role keeps its name
+      if (name && role.name === '@everyone' && name !== '@everyone') {
+        return res.status(400).json({ message: 'The @everyone role cannot be renamed' });
+      }
+      
+      if (permissions) {
+        // Users cannot grant permissions they do not have themselves
+        const added = permissions.filter(permission => !role.permissions.includes(permission));
+        if (!added.every(permission => req.permissions.has(permission))) {
+          return res.status(403).json({ message: 'You cannot grant permissions you do not have' });
+        }
+        
+        // The owner's Admin role must stay an administrator role
+        if (role.managed && !permissions.includes('ADMINISTRATOR')) {
+          return res.status(400).json({ message: 'The ADMINISTRATOR permission cannot be removed from this role' });
+        }
+      }
+
+      const before = {
+        name: role.name,
+        color: role.color,
+        permissions: [...role.permissions]
+      };
+
+      // Update role fields
+      if (name) role.name = name;
+      if (color) role.color = color;
+      if (permissions) role.permissions = permissions;
+
+      await guild.save();
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: userId,
+        action: 'ROLE_UPDATE',
+        target: role._id,
+        changes: diff(before, role.toObject(), ['name', 'color', 'permissions']),
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients and drop sockets from channels they can no longer view
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('roleUpdate', { guildId, role });
+      await evictGuildChannelRooms(io, guild);
+
+      res.json(role);
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reorder roles in a guild
+router.put(
+  '/:id/roles',
+  authenticate,
+  [
+    body('roles')
+      .isArray({ min: 1 })
+      .withMessage('Roles must be a non-empty array'),
+    body('roles.*._id')
+      .isMongoId()
+      .withMessage('Invalid role ID'),
+    body('roles.*.position')
+      .isInt({ min: 1 })
+      .withMessage('Position must be a positive integer')
+  ],
+  loadGuild('id'),
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { guild } = req;
+      const guildId = guild._id;
+      const userId = req.user._id;
+      const highestPosition = getHighestRolePosition(guild, userId);
+
+      const positionsBefore = new Map(guild.roles.map(role => [role._id.toString(), role.position]));
+
+      for (const { _id, position } of req.body.roles) {
+        const role = guild.roles.id(_id);
+        
+        if (!role) {
+          return res.status(404).json({ message: 'Role not found' });
+        }
+        
+        if (role.name === '@everyone') {
+          return res.status(400).json({ message: 'The @everyone role cannot be moved' });
+        }
+        
+        const guardError = getRoleGuardError(guild, userId, role);
+        if (guardError) {
+          return res.status(403).json({ message: guardError });
+        }
+        
+        // Roles cannot be moved to or above the user's own highest role
+        if (!isOwner(guild, userId) && position >= highestPosition) {
+          return res.status(403).json({ message: 'You cannot move a role to or above your highest role' });
+        }
+        
+        role.position = position;
+      }
+
+      // Renumber positions so they stay unique, keeping @everyone at 0
+      const orderedRoles = guild.roles
+        .filter(role => role.name !== '@everyone')
+        .sort((a, b) => a.position - b.position);
+      orderedRoles.forEach((role, index) => {
+        role.position = index + 1;
+      });
+
+      await guild.save();
+
+      // Record one entry per role whose position changed
+      for (const role of guild.roles) {
+        const positionBefore = positionsBefore.get(role._id.toString());
+        if (positionBefore === role.position) continue;
+        
+        await recordAuditLog({
+          guild: guildId,
+          actor: userId,
+          action: 'ROLE_UPDATE',
+          target: role._id,
+          changes: [{ key: 'position', before: positionBefore, after: role.position }],
+          reason: getAuditReason(req)
+        });
+      }
+
+      // Notify clients about the new order
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('rolesUpdate', { guildId, roles: guild.roles });
+
+      res.json(guild.roles);
+    } catch (error) {
+      console.error('Reorder roles error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete a role from a guild
+router.delete(
+  '/:id/roles/:roleId',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      const { guild } = req;
+      const guildId = guild._id;
+      const userId = req.user._id;
+
+      // Find the role
+      const role = mongoose.Types.ObjectId.isValid(req.params.roleId) && guild.roles.id(req.params.roleId);
+      
+      if (!role) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+      
+      if (role.name === '@everyone' || role.managed) {
+        return res.status(400).json({ message: 'This role cannot be deleted' });
+      }
+      
+      const guardError = getRoleGuardError(guild, userId, role);
+      if (guardError) {
+        return res.status(403).json({ message: guardError });
+      }
+
+      const roleId = role._id;
+      guild.roles.pull(roleId);
+      await guild.save();
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: userId,
+        action: 'ROLE_DELETE',
+        target: roleId,
+        changes: diff(role.toObject(), {}, ['name', 'color', 'permissions']),
+        reason: getAuditReason(req)
+      });
+
+      // Remove channel overwrites that targeted the role
+      await Channel.updateMany(
+        { guild: guildId },
+        { $pull: { permissionOverwrites: { type: 'role', target: roleId } } }
+      );
+
+      // Notify clients and drop sockets from channels they can no longer view
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('roleDelete', { guildId, roleId });
+      await evictGuildChannelRooms(io, guild);
+
+      res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Add or remove a role on a member
+const updateMemberRole = (action) => async (req, res) => {
+  try {
+    const { guild } = req;
+    const guildId = guild._id;
+    const { userId: targetId, roleId } = req.params;
+    const userId = req.user._id;
+
+    // Validate if ids are valid ObjectIds
+    if (!mongoose.Types.ObjectId.isValid(targetId) || !mongoose.Types.ObjectId.isValid(roleId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+    
+    // Check that the user is a member
+    if (!guild.members.some(member => member.toString() === targetId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    // Find the role
+    const role = guild.roles.id(roleId);
+    
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    
+    if (role.name === '@everyone') {
+      return res.status(400).json({ message: 'The @everyone role cannot be assigned or removed' });
+    }
+    
+    // The owner always keeps their Admin role
+    if (role.managed && action === 'remove' && isOwner(guild, targetId)) {
+      return res.status(400).json({ message: 'The guild owner cannot be removed from this role' });
+    }
+    
+    const guardError = getRoleGuardError(guild, userId, role);
+    if (guardError) {
+      return res.status(403).json({ message: guardError });
+    }
+    
+    // Users can change their own roles, but only roles of members below them otherwise
+    if (targetId !== userId.toString() && !outranks(guild, userId, targetId)) {
+      return res.status(403).json({ message: 'You cannot perform this action on a member whose highest role is not below yours' });
+    }
+
+    if (action === 'add') {
+      role.members.addToSet(targetId);
+    } else {
+      role.members.pull(targetId);
+    }
+
+    await guild.save();
+
+    await recordAuditLog({
+      guild: guildId,
+      actor: userId,
+      action: 'MEMBER_ROLE_UPDATE',
+      target: targetId,
+      changes: [{ key: action === 'add' ? '$add' : '$remove', before: null, after: { _id: role._id, name: role.name } }],
+      reason: getAuditReason(req)
+    });
+
+    const roles = guild.roles
+      .filter(guildRole => guildRole.members.some(member => member.toString() === targetId))
+      .map(guildRole => guildRole._id);
+
+    // Notify clients and drop sockets from channels they can no longer view
+    const io = req.app.get('io');
+    io.to(`guild:${guildId}`).emit('memberUpdate', { guildId, userId: targetId, roles });
+    await evictGuildChannelRooms(io, guild);
+
+    res.json({ guildId, userId: targetId, roles });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Add a role to a member
+router.put(
+  '/:id/members/:userId/roles/:roleId',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('MANAGE_ROLES'),
+  updateMemberRole('add')
+);
+
+// Remove a role from a member
+router.delete(
+  '/:id/members/:userId/roles/:roleId',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('MANAGE_ROLES'),
+  updateMemberRole('remove')
+);
+
+// Time out a member so they cannot post for a while
+router.put(
+  '/:id/members/:userId/timeout',
+  authenticate,
+  [
+    body('duration')
+      .isInt({ min: 1, max: 28 * 24 * 60 * 60 })
+      .withMessage('Duration must be between 1 second and 28 days'),
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 512 })
+      .withMessage('Timeout reason must be less than 512 characters')
+  ],
+  loadGuild('id'),
+  requirePermission('MODERATE_MEMBERS'),
+  requireHierarchy('userId'),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { duration, reason = '' } = req.body;
+      const { guild } = req;
+      const guildId = guild._id;
+      const { userId } = req.params;
+      
+      // Check that the user is a member
+      if (!guild.members.some(member => member.toString() === userId)) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+      
+      // Administrators cannot be timed out
+      if (computeBasePermissions(guild, userId).has('ADMINISTRATOR')) {
+        return res.status(403).json({ message: 'Administrators cannot be timed out' });
+      }
+
+      const timeout = {
+        user: userId,
+        moderator: req.user._id,
+        reason,
+        until: new Date(Date.now() + duration * 1000)
+      };
+
+      // Replace any existing timeout for the member
+      guild.timeouts = guild.timeouts.filter(existing => existing.user.toString() !== userId);
+      guild.timeouts.push(timeout);
+      await guild.save();
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'MEMBER_TIMEOUT_ADD',
+        target: userId,
+        changes: [{ key: 'until', before: null, after: timeout.until }],
+        reason
+      });
+
+      // Notify clients about the timeout
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('memberUpdate', {
+        guildId,
+        userId,
+        timeout: { until: timeout.until, reason }
+      });
+
+      res.json({ guildId, userId, timeout: { until: timeout.until, reason } });
+    } catch (error) {
+      console.error('Timeout member error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Remove a member's timeout early
+router.delete(
+  '/:id/members/:userId/timeout',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('MODERATE_MEMBERS'),
+  requireHierarchy('userId'),
+  async (req, res) => {
+    try {
+      const { guild } = req;
+      const guildId = guild._id;
+      const { userId } = req.params;
+      
+      if (!guild.getActiveTimeout(userId)) {
+        return res.status(404).json({ message: 'Member is not timed out' });
+      }
+
+      guild.timeouts = guild.timeouts.filter(timeout => timeout.user.toString() !== userId);
+      await guild.save();
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'MEMBER_TIMEOUT_REMOVE',
+        target: userId,
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients that the timeout has ended
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('memberUpdate', { guildId, userId, timeout: null });
+
+      res.json({ guildId, userId, timeout: null });
+    } catch (error) {
+      console.error('Remove timeout error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get all bans in a guild
+router.get(
+  '/:id/bans',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('BAN_MEMBERS'),
+  async (req, res) => {
+    try {
+      const bans = await Ban.find({
+        guild: req.guild._id,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      })
+        .populate('user', 'username avatar')
+        .populate('moderator', 'username avatar')
+        .sort({ createdAt: -1 });
+      
+      res.json(bans);
+    } catch (error) {
+      console.error('Get bans error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Ban a user from a guild
+router.put(
+  '/:id/bans/:userId',
+  authenticate,
+  [
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 512 })
+      .withMessage('Ban reason must be less than 512 characters'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date'),
+    body('deleteMessageDays')
+      .optional()
+      .isInt({ min: 0, max: 7 })
+      .withMessage('Message deletion must be between 0 and 7 days')
+  ],
+  loadGuild('id'),
+  requirePermission('BAN_MEMBERS'),
+  requireHierarchy('userId'),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { reason = '', expiresAt = null, deleteMessageDays = 0 } = req.body;
+      const { guild } = req;
+      const guildId = guild._id;
+      const { userId } = req.params;
+      
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return res.status(400).json({ message: 'Expiry must be in the future' });
+      }
+      
+      // Check if user exists
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Create or replace the ban
+      const ban = await Ban.findOneAndUpdate(
+        { guild: guildId, user: userId },
+        {
+          $set: {
+            moderator: req.user._id,
+            reason,
+            expiresAt,
+            createdAt: Date.now()
+          }
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'MEMBER_BAN_ADD',
+        target: userId,
+        changes: expiresAt ? [{ key: 'expiresAt', before: null, after: ban.expiresAt }] : [],
+        reason
+      });
+
+      const io = req.app.get('io');
+
+      // Remove the user from the guild if they are a member
+      if (guild.members.some(member => member.toString() === userId)) {
+        await Guild.findByIdAndUpdate(guildId, {
+          $pull: { members: userId, 'roles.$[].members': userId }
+        });
+
+        io.to(`guild:${guildId}`).emit('memberRemove', { guildId, userId });
+      }
+
+      // Purge the user's recent messages
+      if (deleteMessageDays > 0) {
+        const since = new Date(Date.now() - deleteMessageDays * 24 * 60 * 60 * 1000);
+        const channels = await Channel.find({ guild: guildId }).select('_id');
+        let deletedCount = 0;
+        
+        for (const channel of channels) {
+          const messages = await Message.find({
+            channel: channel._id,
+            author: userId,
+            createdAt: { $gte: since }
+          }).select('_id');
+          
+          if (messages.length === 0) continue;
+          
+          const ids = messages.map(message => message._id);
+          await Message.deleteMany({ _id: { $in: ids } });
+          io.to(`channel:${channel._id}`).emit('messageDeleteBulk', { ids, channel: channel._id });
+          deletedCount += ids.length;
+        }
+        
+        if (deletedCount > 0) {
+          await recordAuditLog({
+            guild: guildId,
+            actor: req.user._id,
+            action: 'MESSAGE_BULK_DELETE',
+            target: userId,
+            changes: [{ key: 'count', before: null, after: deletedCount }],
+            reason
+          });
+        }
+      }
+
+      // Notify clients about the ban
+      io.to(`guild:${guildId}`).emit('guildBanAdd', { guildId, userId });
+      io.to(`user:${userId}`).emit('bannedFromGuild', { guildId, name: guild.name, reason });
+      await leaveGuildRooms(io, guildId, userId);
+
+      res.json(ban);
+    } catch (error) {
+      console.error('Ban member error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Revoke a ban
+router.delete(
+  '/:id/bans/:userId',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('BAN_MEMBERS'),
+  async (req, res) => {
+    try {
+      const guildId = req.guild._id;
+      const { userId } = req.params;
+
+      // Validate if user id is a valid ObjectId
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      const ban = await Ban.findOneAndDelete({ guild: guildId, user: userId });
+      
+      if (!ban) {
+        return res.status(404).json({ message: 'Ban not found' });
+      }
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: req.user._id,
+        action: 'MEMBER_BAN_REMOVE',
+        target: userId,
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients about the revoked ban
+      const io = req.app.get('io');
+      io.to(`guild:${guildId}`).emit('guildBanRemove', { guildId, userId });
+
+      res.json({ message: 'Ban revoked successfully' });
+    } catch (error) {
+      console.error('Revoke ban error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get the audit log of a guild
+router.get(
+  '/:id/audit-logs',
+  authenticate,
+  loadGuild('id'),
+  requirePermission('VIEW_AUDIT_LOG'),
+  async (req, res) => {
+    try {
+      const { before, action, actor, target } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+      // Validate if ids are valid ObjectIds if provided
+      if ([before, actor, target].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'Invalid ID format' });
+      }
+      
+      if (action && !AuditLog.ACTIONS.includes(action)) {
+        return res.status(400).json({ message: 'Unknown audit log action' });
+      }
+
+      // Build query
+      const query = { guild: req.guild._id };
+      if (before) query._id = { $lt: before };
+      if (action) query.action = action;
+      if (actor) query.actor = actor;
+      if (target) query.target = target;
+
+      // Get entries, newest first
+      const entries = await AuditLog.find(query)
+        .sort({ _id: -1 })
+        .limit(limit)
+        .populate('actor', 'username avatar');
+      
+      res.json(entries);
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Search messages in the guild channels the user can read
+router.get(
+  '/:id/messages/search',
+  authenticate,
+  [
+    ...searchValidators,
+    query('channel')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid channel ID')
+  ],
+  loadGuild('id'),
+  requirePermission(),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { guild } = req;
+      const userId = req.user._id;
+
+      // Work out which channels and threads the user can read
+      const channels = await Channel.find({ guild: guild._id });
+      const channelsById = new Map(channels.map(channel => [channel._id.toString(), channel]));
+      const readableIds = channels
+        .filter(channel => {
+          const permissionChannel = channel.type === 'thread'
+            ? channelsById.get(channel.parent.toString())
+            : channel;
+          if (!permissionChannel) return false;
+          
+          const permissions = computeChannelPermissions(guild, permissionChannel, userId);
+          return permissions.has('VIEW_CHANNELS') && permissions.has('READ_MESSAGE_HISTORY');
+        })
+        .map(channel => channel._id);
+      
+      // Narrow to a single channel if requested
+      let scopeIds = readableIds;
+      if (req.query.channel) {
+        scopeIds = readableIds.filter(id => id.toString() === req.query.channel);
+        
+        if (scopeIds.length === 0) {
+          return res.status(403).json({ message: 'You do not have permission to read messages in this channel' });
+        }
+      }
+
+      const results = await searchMessages({ channel: { $in: scopeIds } }, req.query, userId);
+
+      res.json(results);
+    } catch (error) {
+      console.error('Search guild messages error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
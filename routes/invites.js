@@ -4,45 +4,24 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Invite = require('../models/Invite');
 const Guild = require('../models/Guild');
-const { authenticate } = require('../middleware/auth');
+const Ban = require('../models/Ban');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { loadGuild, requirePermission } = require('../middleware/permissions');
+const { computeBasePermissions } = require('../utils/permissions');
+const { diff, getAuditReason, recordAuditLog } = require('../utils/auditLog');
+const { joinUserSockets } = require('../utils/socket');
 
 // Create a new invite for a guild
 router.post(
   '/guilds/:guildId',
   authenticate,
+  loadGuild('guildId'),
+  requirePermission('CREATE_INVITE'),
   async (req, res) => {
     try {
-      const guildId = req.params.guildId;
+      const guildId = req.guild._id;
       const userId = req.user._id;
 
-      // Find the guild
-      const guild = await Guild.findById(guildId);
-      
-      if (!guild) {
-        return res.status(404).json({ message: 'Guild not found' });
-      }
-      
-      // Check if user is a member of the guild
-      if (!guild.members.includes(userId)) {
-        return res.status(403).json({ message: 'You are not a member of this guild' });
-      }
-      
-      // Check if user has permission to create invites
-      const isAdmin = guild.owner.toString() === userId.toString() ||
-                     guild.roles.some(role => 
-                       role.permissions.includes('ADMINISTRATOR') && 
-                       role.members.includes(userId)
-                     );
-      
-      const canCreateInvites = isAdmin || guild.roles.some(role => 
-        role.permissions.includes('CREATE_INVITE') && 
-        role.members.includes(userId)
-      );
-      
-      if (!canCreateInvites) {
-        return res.status(403).json({ message: 'You do not have permission to create invites' });
-      }
-
       // Create new invite
       const invite = new Invite({
         guild: guildId,
@@ -50,6 +29,15 @@ router.post(
       });
 
       await invite.save();
+
+      await recordAuditLog({
+        guild: guildId,
+        actor: userId,
+        action: 'INVITE_CREATE',
+        target: invite._id,
+        changes: diff({}, invite, ['code', 'maxUses', 'expiresAt']),
+        reason: getAuditReason(req)
+      });
       
       res.status(201).json(invite);
     } catch (error) {
@@ -60,7 +48,7 @@ router.post(
 );
 
 // Get invite details by code
-router.get('/:code/details', async (req, res) => {
+router.get('/:code/details', optionalAuthenticate, async (req, res) => {
   try {
     const { code } = req.params;
     
@@ -81,6 +69,11 @@ router.get('/:code/details', async (req, res) => {
       return res.status(400).json({ message: 'Invite has reached maximum uses' });
     }
     
+    // Check if user is banned from the guild
+    if (req.user && await Ban.findActive(invite.guild._id, req.user._id)) {
+      return res.status(403).json({ message: 'You are banned from this guild' });
+    }
+    
     // Return guild info
     const guild = invite.guild;
     const memberCount = guild.members.length;
@@ -100,49 +93,26 @@ router.get('/:code/details', async (req, res) => {
 });
 
 // Get all invites for a guild
-router.get('/guilds/:guildId', authenticate, async (req, res) => {
-  try {
-    const guildId = req.params.guildId;
-    const userId = req.user._id;
+router.get(
+  '/guilds/:guildId',
+  authenticate,
+  loadGuild('guildId'),
+  requirePermission('MANAGE_GUILD'),
+  async (req, res) => {
+    try {
+      const guildId = req.guild._id;
 
-    // Find the guild
-    const guild = await Guild.findById(guildId);
-    
-    if (!guild) {
-      return res.status(404).json({ message: 'Guild not found' });
-    }
-    
-    // Check if user is a member of the guild
-    if (!guild.members.includes(userId)) {
-      return res.status(403).json({ message: 'You are not a member of this guild' });
-    }
-    
-    // Check if user has permission to view invites
-    const isAdmin = guild.owner.toString() === userId.toString() ||
-                   guild.roles.some(role => 
-                     role.permissions.includes('ADMINISTRATOR') && 
-                     role.members.includes(userId)
-                   );
-    
-    const canManageGuild = isAdmin || guild.roles.some(role => 
-      role.permissions.includes('MANAGE_GUILD') && 
-      role.members.includes(userId)
-    );
-    
-    if (!canManageGuild) {
-      return res.status(403).json({ message: 'You do not have permission to view invites' });
+      // Get all invites for the guild
+      const invites = await Invite.find({ guild: guildId })
+        .populate('creator', 'username avatar');
+      
+      res.json(invites);
+    } catch (error) {
+      console.error('Get invites error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
-
-    // Get all invites for the guild
-    const invites = await Invite.find({ guild: guildId })
-      .populate('creator', 'username avatar');
-    
-    res.json(invites);
-  } catch (error) {
-    console.error('Get invites error:', error);
-    res.status(500).json({ message: 'Server error' });
   }
-});
+);
 
 // Join a guild with an invite code
 router.post(
@@ -189,6 +159,11 @@ router.post(
         return res.status(404).json({ message: 'Guild not found' });
       }
       
+      // Check if user is banned from the guild
+      if (await Ban.findActive(guild._id, userId)) {
+        return res.status(403).json({ message: 'You are banned from this guild' });
+      }
+      
       // Check if user is already a member
       if (guild.members.includes(userId)) {
         return res.status(400).json({ message: 'You are already a member of this guild' });
@@ -215,6 +190,7 @@ router.post(
         guildId: guild._id, 
         user: req.user 
       });
+      joinUserSockets(io, userId, `guild:${guild._id}`);
 
       // Return guild data
       const populatedGuild = await Guild.findById(guild._id)
@@ -245,16 +221,7 @@ router.delete('/:id', authenticate, async (req, res) => {
     const guild = await Guild.findById(invite.guild);
     
     // Check if user has permission to delete invites
-    const isAdmin = guild.owner.toString() === userId.toString() ||
-                   guild.roles.some(role => 
-                     role.permissions.includes('ADMINISTRATOR') && 
-                     role.members.includes(userId)
-                   );
-    
-    const canManageGuild = isAdmin || guild.roles.some(role => 
-      role.permissions.includes('MANAGE_GUILD') && 
-      role.members.includes(userId)
-    );
+    const canManageGuild = computeBasePermissions(guild, userId).has('MANAGE_GUILD');
     
     const isCreator = invite.creator.toString() === userId.toString();
     
@@ -265,6 +232,15 @@ router.delete('/:id', authenticate, async (req, res) => {
     // Delete the invite
     await Invite.findByIdAndDelete(inviteId);
 
+    await recordAuditLog({
+      guild: guild._id,
+      actor: userId,
+      action: 'INVITE_DELETE',
+      target: invite._id,
+      changes: diff(invite, {}, ['code', 'maxUses', 'uses', 'expiresAt']),
+      reason: getAuditReason(req)
+    });
+
     res.json({ message: 'Invite deleted successfully' });
   } catch (error) {
     console.error('Delete invite error:', error);
@@ -1,45 +1,40 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Channel = require('../models/Channel');
 const Guild = require('../models/Guild');
-const Conversation = require('../models/Conversation');
+const User = require('../models/User');
 const { authenticate } = require('../middleware/auth');
+const { loadMessage } = require('../middleware/permissions');
+const { computeChannelPermissions } = require('../utils/permissions');
+const { getAuditReason, recordAuditLog } = require('../utils/auditLog');
+const {
+  serializeMessage,
+  serializeMessages,
+  getMessageLocation,
+  getMessageRoom
+} = require('../utils/messages');
+const { editMessageValidators, editMessage } = require('../utils/messageActions');
+const { hasBlockBetween } = require('../utils/relationships');
+
+const MAX_REACTIONS_PER_MESSAGE = 20;
 
 // Get message by ID
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, loadMessage('id'), async (req, res) => {
   try {
-    const message = await Message.findById(req.params.id)
-      .populate('author', 'username avatar')
-      .populate('channel', 'name guild');
+    const { message } = req;
+
+    await message.populate([
+      { path: 'author', select: 'username avatar' },
+      { path: 'channel', select: 'name guild' }
+    ]);
     
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
-    }
+    const [data] = await serializeMessages([message], req.user._id);
     
-    // Check if user has access to the message
-    if (message.channel) {
-      // Guild message
-      const channel = message.channel;
-      const guild = await Guild.findById(channel.guild);
-      
-      if (!guild.members.includes(req.user._id)) {
-        return res.status(403).json({ message: 'You do not have access to this message' });
-      }
-    } else if (message.conversationId) {
-      // DM message
-      const conversation = await Conversation.findById(message.conversationId);
-      
-      if (!conversation.participants.includes(req.user._id)) {
-        return res.status(403).json({ message: 'You do not have access to this message' });
-      }
-    } else {
-      return res.status(404).json({ message: 'Message not found' });
-    }
-    
-    res.json(message);
+    res.json(data);
   } catch (error) {
     console.error('Get message error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -50,13 +45,8 @@ router.get('/:id', authenticate, async (req, res) => {
 router.put(
   '/:id',
   authenticate,
-  [
-    body('content')
-      .isString()
-      .trim()
-      .isLength({ min: 1, max: 2000 })
-      .withMessage('Message content must be between 1 and 2000 characters')
-  ],
+  loadMessage('id'),
+  editMessageValidators,
   async (req, res) => {
     try {
       // Check for validation errors
@@ -65,43 +55,9 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { content } = req.body;
-      const messageId = req.params.id;
-      const userId = req.user._id;
-
-      // Find the message
-      let message = await Message.findById(messageId);
-      
-      if (!message) {
-        return res.status(404).json({ message: 'Message not found' });
-      }
-      
-      // Check if user is the author of the message
-      if (message.author.toString() !== userId.toString()) {
-        return res.status(403).json({ message: 'You can only edit your own messages' });
-      }
+      const result = await editMessage(req.app.get('io'), req.user._id, req, req.body.content);
 
-      // Update message
-      message = await Message.findByIdAndUpdate(
-        messageId,
-        { 
-          $set: { 
-            content,
-            updatedAt: Date.now()
-          } 
-        },
-        { new: true, runValidators: true }
-      ).populate('author', 'username avatar');
-
-      // Notify clients about the update
-      const io = req.app.get('io');
-      if (message.channel) {
-        io.to(`channel:${message.channel}`).emit('messageUpdate', message);
-      } else if (message.conversationId) {
-        io.to(`conversation:${message.conversationId}`).emit('messageUpdate', message);
-      }
-
-      res.json(message);
+      res.status(result.status).json(result.body);
     } catch (error) {
       console.error('Update message error:', error);
       res.status(500).json({ message: 'Server error' });
@@ -127,23 +83,19 @@ router.delete('/:id', authenticate, async (req, res) => {
     
     // If not author, check if user has permission to delete messages
     let hasPermission = isAuthor;
+    let guild = null;
     
     if (!isAuthor && message.channel) {
       const channel = await Channel.findById(message.channel);
-      const guild = await Guild.findById(channel.guild);
-      
-      const isAdmin = guild.owner.toString() === userId.toString() ||
-                     guild.roles.some(role => 
-                       role.permissions.includes('ADMINISTRATOR') && 
-                       role.members.includes(userId)
-                     );
-      
-      const canManageMessages = isAdmin || guild.roles.some(role => 
-        role.permissions.includes('MANAGE_MESSAGES') && 
-        role.members.includes(userId)
-      );
+      const permissionChannel = channel && await channel.getPermissionChannel();
+      guild = permissionChannel && await Guild.findById(channel.guild);
+
+      // Only the author can clean up a message whose channel or guild is gone
+      if (!guild) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
       
-      hasPermission = canManageMessages;
+      hasPermission = computeChannelPermissions(guild, permissionChannel, userId).has('MANAGE_MESSAGES');
     }
     
     if (!hasPermission) {
@@ -153,6 +105,18 @@ router.delete('/:id', authenticate, async (req, res) => {
     // Delete the message
     await Message.findByIdAndDelete(messageId);
 
+    // Record moderator deletions of other users' messages
+    if (guild) {
+      await recordAuditLog({
+        guild: guild._id,
+        actor: userId,
+        action: 'MESSAGE_DELETE',
+        target: message.author,
+        changes: [{ key: 'channel', before: message.channel, after: null }],
+        reason: getAuditReason(req)
+      });
+    }
+
     // Notify clients about the deletion
     const io = req.app.get('io');
     if (message.channel) {
@@ -168,4 +132,201 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Validate an emoji route parameter: a unicode emoji or a custom name:id pair
+const isValidEmoji = (emoji) => typeof emoji === 'string' && emoji.length > 0 && emoji.length <= 64 && !/\s/.test(emoji);
+
+// Add a reaction to a message
+router.put('/:id/reactions/:emoji/@me', authenticate, loadMessage('id'), async (req, res) => {
+  try {
+    const { message, guild, conversation } = req;
+    const { emoji } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidEmoji(emoji)) {
+      return res.status(400).json({ message: 'Invalid emoji' });
+    }
+    
+    // Timed out members cannot react
+    if (guild && guild.getActiveTimeout(userId)) {
+      return res.status(403).json({ message: 'You are timed out in this guild' });
+    }
+
+    // No reactions in a 1:1 DM once either side has blocked the other
+    if (conversation && conversation.type !== 'group') {
+      const others = conversation.participants.filter(id => id.toString() !== userId.toString());
+
+      if (await hasBlockBetween(userId, others)) {
+        return res.status(403).json({ message: 'You cannot react to messages from this user' });
+      }
+    }
+
+    // Add the user to an existing reaction
+    let result = await Message.updateOne(
+      { _id: message._id, 'reactions.emoji': emoji },
+      { $addToSet: { 'reactions.$.users': userId } }
+    );
+
+    // Otherwise start a new reaction, as long as the message has room for it
+    if (result.matchedCount === 0) {
+      result = await Message.updateOne(
+        {
+          _id: message._id,
+          'reactions.emoji': { $ne: emoji },
+          [`reactions.${MAX_REACTIONS_PER_MESSAGE - 1}`]: { $exists: false }
+        },
+        { $push: { reactions: { emoji, users: [userId] } } }
+      );
+      
+      if (result.matchedCount === 0) {
+        return res.status(400).json({ message: 'Maximum number of reactions reached' });
+      }
+    }
+
+    // Notify clients about the reaction
+    if (result.modifiedCount > 0) {
+      const io = req.app.get('io');
+      io.to(getMessageRoom(message)).emit('messageReactionAdd', {
+        messageId: message._id,
+        ...getMessageLocation(message),
+        emoji,
+        userId
+      });
+    }
+
+    const updated = await Message.findById(message._id);
+    res.json(serializeMessage(updated, userId).reactions);
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a user's reaction from a message. Removing someone else's reaction
+// requires MANAGE_MESSAGES.
+const removeReaction = async (req, res) => {
+  try {
+    const { message, permissions } = req;
+    const { emoji } = req.params;
+    const userId = req.params.userId || req.user._id.toString();
+
+    if (!isValidEmoji(emoji)) {
+      return res.status(400).json({ message: 'Invalid emoji' });
+    }
+    
+    // Validate if user id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    
+    if (userId !== req.user._id.toString() && !(permissions && permissions.has('MANAGE_MESSAGES'))) {
+      return res.status(403).json({ message: 'You do not have permission to remove this reaction' });
+    }
+
+    const result = await Message.updateOne(
+      { _id: message._id, 'reactions.emoji': emoji },
+      { $pull: { 'reactions.$.users': userId } }
+    );
+    
+    // Drop reactions nobody is left on
+    await Message.updateOne(
+      { _id: message._id },
+      { $pull: { reactions: { users: { $size: 0 } } } }
+    );
+
+    // Notify clients about the removal
+    if (result.modifiedCount > 0) {
+      const io = req.app.get('io');
+      io.to(getMessageRoom(message)).emit('messageReactionRemove', {
+        messageId: message._id,
+        ...getMessageLocation(message),
+        emoji,
+        userId
+      });
+    }
+
+    const updated = await Message.findById(message._id);
+    res.json(serializeMessage(updated, req.user._id).reactions);
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Remove own reaction
+router.delete('/:id/reactions/:emoji/@me', authenticate, loadMessage('id'), removeReaction);
+
+// Remove another user's reaction
+router.delete('/:id/reactions/:emoji/:userId', authenticate, loadMessage('id'), removeReaction);
+
+// Get the users who reacted with an emoji
+router.get('/:id/reactions/:emoji', authenticate, loadMessage('id'), async (req, res) => {
+  try {
+    const { emoji } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+
+    const reaction = req.message.reactions.find(existing => existing.emoji === emoji);
+    
+    if (!reaction) {
+      return res.json([]);
+    }
+
+    const users = await User.find({ _id: { $in: reaction.users.slice(0, limit) } })
+      .select('username avatar');
+    
+    res.json(users);
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear reactions from a message, either all of them or a single emoji
+const clearReactions = async (req, res) => {
+  try {
+    const { message, permissions } = req;
+    const { emoji } = req.params;
+    
+    // In guilds only moderators can clear reactions; in DMs only the author can
+    const canClear = message.channel
+      ? permissions.has('MANAGE_MESSAGES')
+      : message.author.toString() === req.user._id.toString();
+    
+    if (!canClear) {
+      return res.status(403).json({ message: 'You do not have permission to clear reactions' });
+    }
+
+    const update = emoji
+      ? { $pull: { reactions: { emoji } } }
+      : { $set: { reactions: [] } };
+    
+    await Message.updateOne({ _id: message._id }, update);
+
+    // Notify clients about the cleared reactions
+    const io = req.app.get('io');
+    if (emoji) {
+      io.to(getMessageRoom(message)).emit('messageReactionRemoveEmoji', {
+        messageId: message._id,
+        ...getMessageLocation(message),
+        emoji
+      });
+    } else {
+      io.to(getMessageRoom(message)).emit('messageReactionRemoveAll', {
+        messageId: message._id,
+        ...getMessageLocation(message)
+      });
+    }
+
+    res.json({ message: 'Reactions cleared successfully' });
+  } catch (error) {
+    console.error('Clear reactions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Clear all reactions from a message
+router.delete('/:id/reactions', authenticate, loadMessage('id'), clearReactions);
+
+// Clear all reactions for one emoji
+router.delete('/:id/reactions/:emoji', authenticate, loadMessage('id'), clearReactions);
+
 module.exports = router;
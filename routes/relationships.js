@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Relationship = require('../models/Relationship');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { setRelationship, removeRelationship } = require('../utils/relationships');
+
+// Get the current user's friends, friend requests and blocked users
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const relationships = await Relationship.find({ user: req.user._id })
+      .populate('target', 'username avatar status')
+      .sort({ createdAt: -1 });
+
+    res.json(relationships);
+  } catch (error) {
+    console.error('Get relationships error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a friend request (accepting it if the user already sent one) or block a user
+router.put(
+  '/:userId',
+  authenticate,
+  [
+    body('type')
+      .optional()
+      .isIn(['friend', 'blocked'])
+      .withMessage('Relationship type must be either friend or blocked')
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type = 'friend' } = req.body;
+      const { userId: targetId } = req.params;
+      const userId = req.user._id;
+
+      // Validate if id is a valid ObjectId
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      if (targetId === userId.toString()) {
+        return res.status(400).json({ message: 'You cannot add a relationship with yourself' });
+      }
+
+      if (!await User.exists({ _id: targetId })) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const [mine, theirs] = await Promise.all([
+        Relationship.findOne({ user: userId, target: targetId }),
+        Relationship.findOne({ user: targetId, target: userId })
+      ]);
+      const io = req.app.get('io');
+
+      if (type === 'blocked') {
+        if (mine && mine.type === 'blocked') {
+          return res.status(400).json({ message: 'User is already blocked' });
+        }
+
+        // Blocking ends any friendship or pending request
+        const relationship = await setRelationship(io, userId, targetId, 'blocked');
+        if (theirs && theirs.type !== 'blocked') {
+          await removeRelationship(io, targetId, userId);
+        }
+
+        return res.json(relationship);
+      }
+
+      if (mine && mine.type === 'blocked') {
+        return res.status(400).json({ message: 'Unblock this user before sending a friend request' });
+      }
+
+      if (theirs && theirs.type === 'blocked') {
+        return res.status(403).json({ message: 'You cannot send a friend request to this user' });
+      }
+
+      if (mine && mine.type === 'friend') {
+        return res.status(400).json({ message: 'You are already friends with this user' });
+      }
+
+      if (mine && mine.type === 'outgoing') {
+        return res.status(400).json({ message: 'Friend request already sent' });
+      }
+
+      // Accept their pending request, or send a new one
+      const accepting = mine && mine.type === 'incoming';
+      const relationship = await setRelationship(io, userId, targetId, accepting ? 'friend' : 'outgoing');
+      await setRelationship(io, targetId, userId, accepting ? 'friend' : 'incoming');
+
+      res.status(accepting ? 200 : 201).json(relationship);
+    } catch (error) {
+      console.error('Update relationship error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Remove a friend, cancel or decline a friend request, or unblock a user
+router.delete('/:userId', authenticate, async (req, res) => {
+  try {
+    const { userId: targetId } = req.params;
+    const userId = req.user._id;
+
+    // Validate if id is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const io = req.app.get('io');
+    const relationship = await removeRelationship(io, userId, targetId);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    // Friendships and requests go away on both sides; a block the other user made stays
+    if (relationship.type !== 'blocked') {
+      const theirs = await Relationship.findOne({ user: targetId, target: userId });
+      if (theirs && theirs.type !== 'blocked') {
+        await removeRelationship(io, targetId, userId);
+      }
+    }
+
+    res.json({ message: 'Relationship removed successfully' });
+  } catch (error) {
+    console.error('Delete relationship error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const { authenticate } = require('../middleware/auth');
+const { loadChannel, requirePermission } = require('../middleware/permissions');
+const { emitToChannelViewers, closeRooms } = require('../utils/socket');
+const { diff, getAuditReason, recordAuditLog } = require('../utils/auditLog');
+
+// Update a thread
+router.put(
+  '/:id',
+  authenticate,
+  [
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Thread name must be between 1 and 100 characters'),
+    body('archived')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('Archived must be a boolean'),
+    body('locked')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('Locked must be a boolean'),
+    body('autoArchiveDuration')
+      .optional()
+      .isIn(Channel.AUTO_ARCHIVE_DURATIONS)
+      .withMessage(`Auto archive duration must be one of ${Channel.AUTO_ARCHIVE_DURATIONS.join(', ')} minutes`)
+      .toInt()
+  ],
+  loadChannel('id', { types: ['thread'] }),
+  requirePermission('VIEW_CHANNELS'),
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, archived, locked, autoArchiveDuration } = req.body;
+      const { guild, permissionChannel } = req;
+      const thread = req.channel;
+      const userId = req.user._id;
+
+      // The thread owner can edit an unlocked thread; locking and editing a
+      // locked thread need MANAGE_THREADS
+      const canManageThreads = req.permissions.has('MANAGE_THREADS');
+      const isThreadOwner = thread.owner.toString() === userId.toString();
+      
+      if (!canManageThreads && (!isThreadOwner || thread.locked || locked !== undefined)) {
+        return res.status(403).json({ message: 'You do not have permission to manage this thread' });
+      }
+
+      const before = thread.toObject();
+
+      // Update thread fields
+      if (name) thread.name = name;
+      if (archived !== undefined) thread.archived = archived;
+      if (locked !== undefined) thread.locked = locked;
+      if (autoArchiveDuration) thread.autoArchiveDuration = autoArchiveDuration;
+      
+      // Reopening a thread restarts its auto-archive timer
+      if (before.archived && thread.archived === false) {
+        thread.lastActivityAt = new Date();
+      }
+
+      await thread.save();
+
+      await recordAuditLog({
+        guild: guild._id,
+        actor: userId,
+        action: 'CHANNEL_UPDATE',
+        target: thread._id,
+        changes: diff(before, thread.toObject(), ['name', 'archived', 'locked', 'autoArchiveDuration']),
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients about the update
+      const io = req.app.get('io');
+      await emitToChannelViewers(io, guild, permissionChannel, 'threadUpdate', thread);
+
+      res.json(thread);
+    } catch (error) {
+      console.error('Update thread error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete a thread
+router.delete(
+  '/:id',
+  authenticate,
+  loadChannel('id', { types: ['thread'] }),
+  requirePermission('VIEW_CHANNELS', 'MANAGE_THREADS'),
+  async (req, res) => {
+    try {
+      const { guild, permissionChannel } = req;
+      const thread = req.channel;
+
+      // Delete the thread and its messages, and unlink the starter message
+      await Message.deleteMany({ channel: thread._id });
+      await Message.updateOne({ _id: thread.starterMessage }, { $set: { thread: null } });
+      await Channel.findByIdAndDelete(thread._id);
+
+      await recordAuditLog({
+        guild: guild._id,
+        actor: req.user._id,
+        action: 'CHANNEL_DELETE',
+        target: thread._id,
+        changes: diff(thread.toObject(), {}, ['name', 'type']),
+        reason: getAuditReason(req)
+      });
+
+      // Notify clients about the deletion
+      const io = req.app.get('io');
+      io.to(`channel:${thread._id}`).emit('threadDelete', thread);
+      await emitToChannelViewers(io, guild, permissionChannel, 'threadDelete', thread);
+      closeRooms(io, [`channel:${thread._id}`]);
+
+      res.json({ message: 'Thread deleted successfully' });
+    } catch (error) {
+      console.error('Delete thread error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get the members of a thread
+router.get(
+  '/:id/members',
+  authenticate,
+  loadChannel('id', { types: ['thread'] }),
+  requirePermission('VIEW_CHANNELS'),
+  async (req, res) => {
+    try {
+      await req.channel.populate('threadMembers', 'username avatar status');
+
+      res.json(req.channel.threadMembers);
+    } catch (error) {
+      console.error('Get thread members error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Join or leave a thread
+const updateThreadMembership = (action) => async (req, res) => {
+  try {
+    const thread = req.channel;
+    const userId = req.user._id;
+
+    if (action === 'join' && thread.locked && !req.permissions.has('MANAGE_THREADS')) {
+      return res.status(403).json({ message: 'This thread is locked' });
+    }
+
+    const update = action === 'join'
+      ? { $addToSet: { threadMembers: userId } }
+      : { $pull: { threadMembers: userId } };
+
+    const updated = await Channel.findByIdAndUpdate(thread._id, update, { new: true });
+
+    // Notify the thread room about the membership change
+    const io = req.app.get('io');
+    io.to(`channel:${thread._id}`).emit('threadMembersUpdate', {
+      threadId: thread._id,
+      guildId: thread.guild,
+      members: updated.threadMembers
+    });
+
+    res.json({ threadId: thread._id, members: updated.threadMembers });
+  } catch (error) {
+    console.error('Update thread membership error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Join a thread
+router.put(
+  '/:id/members/@me',
+  authenticate,
+  loadChannel('id', { types: ['thread'] }),
+  requirePermission('VIEW_CHANNELS'),
+  updateThreadMembership('join')
+);
+
+// Leave a thread
+router.delete(
+  '/:id/members/@me',
+  authenticate,
+  loadChannel('id', { types: ['thread'] }),
+  requirePermission('VIEW_CHANNELS'),
+  updateThreadMembership('leave')
+);
+
+module.exports = router;
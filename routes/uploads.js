@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const {
+  storage,
+  isValidKey,
+  isPrivateKey,
+  verifySignature,
+  QUARANTINE_FOLDER
+} = require('../utils/storage');
+
+// Types browsers may display inline; everything else is downloaded
+const INLINE_TYPES = /^(image\/(jpeg|png|gif|webp|avif)|video\/(mp4|webm)|audio\/.+|text\/plain)$/;
+
+// Build the Content-Disposition header for a stored file
+const getContentDisposition = (key, contentType) => {
+  const disposition = INLINE_TYPES.test(contentType.split(';')[0]) ? 'inline' : 'attachment';
+  return `${disposition}; filename="${path.basename(key).replace(/["\\]/g, '_')}"`;
+};
+
+// Download an uploaded file. Private files such as attachments need a valid,
+// unexpired signature; drivers that can presign URLs redirect to the backend.
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+
+    // Keys with `..` or empty segments could reach other folders once resolved
+    if (!isValidKey(key)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Files that failed the malware scan are never served
+    if (key.split('/')[0] === QUARANTINE_FOLDER) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const privateFile = isPrivateKey(key);
+
+    if (privateFile && !verifySignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ message: 'Invalid or expired download URL' });
+    }
+
+    if (privateFile && storage.getSignedUrl) {
+      const expiresIn = Math.max(1, Math.floor(Number(req.query.expires) - Date.now() / 1000));
+      const contentDisposition = getContentDisposition(key, res.type(path.extname(key)).get('Content-Type'));
+      return res.redirect(await storage.getSignedUrl(key, expiresIn, { contentDisposition }));
+    }
+
+    const file = await storage.get(key);
+
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.type(file.contentType || path.extname(key) || 'application/octet-stream');
+    if (file.size !== undefined) res.set('Content-Length', file.size);
+    res.set('Cache-Control', privateFile ? 'private, no-store' : 'public, max-age=86400');
+
+    // Never let browsers reinterpret an upload as a page that runs scripts
+    res.set({
+      'Content-Disposition': getContentDisposition(key, res.get('Content-Type')),
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+
+    file.stream.on('error', (error) => {
+      console.error('Stream upload error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
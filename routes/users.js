@@ -5,12 +5,13 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticate } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { updatePresence } = require('../utils/presence');
 
 // Get all users
 router.get('/', authenticate, async (req, res) => {
   try {
     const users = await User.find()
-      .select('-password')
+      .select('-password -statusPreference')
       .sort({ username: 1 });
     
     res.json(users);
@@ -56,7 +57,11 @@ router.put(
       .optional()
       .isString()
       .isLength({ max: 1000 })
-      .withMessage('Bio must be less than 1000 characters')
+      .withMessage('Bio must be less than 1000 characters'),
+    body('status')
+      .optional()
+      .isIn(['online', 'idle', 'dnd', 'invisible', 'offline'])
+      .withMessage('Status must be one of online, idle, dnd or invisible')
   ],
   async (req, res) => {
     try {
@@ -90,8 +95,9 @@ router.put(
       if (username) updateData.username = username;
       if (email) updateData.email = email;
       if (bio) updateData.bio = bio;
-      if (status) updateData.status = status;
-      if (req.file) updateData.avatar = `/${req.file.path}`;
+      // The chosen status only feeds presence; offline is kept as an alias of invisible
+      if (status) updateData.statusPreference = status === 'offline' ? 'invisible' : status;
+      if (req.file) updateData.avatar = req.file.image;
 
       // If password is provided, update it
       let user = await User.findById(userId);
@@ -107,6 +113,12 @@ router.put(
         { new: true, runValidators: true }
       ).select('-password');
 
+      // Recompute the status others see from the new preference
+      if (status) {
+        await updatePresence(req.app.get('io'), userId);
+        user = await User.findById(userId).select('-password');
+      }
+
       res.json(user);
     } catch (error) {
       console.error('Update user error:', error);
@@ -118,7 +130,7 @@ router.put(
 // Get user by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id).select('-password -statusPreference');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
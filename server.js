@@ -7,7 +7,6 @@ const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const http = require('http');
 const socketIo = require('socket.io');
-const path = require('path');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -17,9 +16,36 @@ const channelRoutes = require('./routes/channels');
 const messageRoutes = require('./routes/messages');
 const conversationRoutes = require('./routes/conversations');
 const inviteRoutes = require('./routes/invites');
+const threadRoutes = require('./routes/threads');
+const uploadRoutes = require('./routes/uploads');
+const relationshipRoutes = require('./routes/relationships');
 
 // Import middleware
 const { authenticateSocket } = require('./middleware/auth');
+const Message = require('./models/Message');
+const Conversation = require('./models/Conversation');
+const Guild = require('./models/Guild');
+const {
+  loadViewableChannel,
+  loadParticipantConversation,
+  loadReadableMessage,
+  validateSocketData,
+  joinUserRooms
+} = require('./utils/socket');
+const { acknowledge, getMentionableRoleIds } = require('./utils/readStates');
+const { startTimeoutSweeper } = require('./utils/timeouts');
+const { startThreadArchiver } = require('./utils/threads');
+const { updatePresence, resetPresence } = require('./utils/presence');
+const { loadTypingTarget, startTyping, stopTyping, stopSocketTyping } = require('./utils/typing');
+const {
+  sendMessageValidators,
+  editMessageValidators,
+  sendChannelMessage,
+  sendConversationMessage,
+  editMessage
+} = require('./utils/messageActions');
+const { GatewayAdapter, openSession, detachSession } = require('./utils/gateway');
+const { sendReadyState } = require('./utils/ready');
 
 // Create Express app
 const app = express();
@@ -29,12 +55,17 @@ const io = socketIo(server, {
     origin: 'https://frontend-67e179fe8bf488097f08fe63.apps.durnode.com',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
     credentials: true
-  }
+  },
+  // Numbers events per gateway session so dropped clients can resume
+  adapter: GatewayAdapter
 });
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return Promise.all([resetPresence(), Guild.flagManagedRoles()]);
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Middleware
@@ -47,17 +78,19 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(morgan('dev'));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files from the configured storage backend
+app.use('/uploads', uploadRoutes);
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users/me/relationships', relationshipRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/guilds', guildRoutes);
 app.use('/api/channels', channelRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/conversations', conversationRoutes);
 app.use('/api/invites', inviteRoutes);
+app.use('/api/threads', threadRoutes);
 
 // Socket.io middleware
 io.use(async (socket, next) => {
@@ -77,6 +110,7 @@ io.use(async (socket, next) => {
     }
     
     socket.user = user;
+    socket.data.userId = user._id.toString();
     next();
   } catch (error) {
     next(new Error('Authentication error'));
@@ -86,49 +120,259 @@ io.use(async (socket, next) => {
 // Socket.io connection
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.user?._id}`);
+
+  // Start a gateway session, or resume the one the client presents. New
+  // sessions get their initial state in a READY event; a socket that can't
+  // be given one is dropped so the client reconnects.
+  if (!openSession(socket)) {
+    sendReadyState(socket).catch(error => {
+      console.error('Ready error:', error);
+      socket.disconnect(true);
+    });
+  }
   
-  // Join user's rooms (guilds, channels, conversations)
+  // Join the user's own room, and the rooms of their guilds and conversations
   socket.join(`user:${socket.user._id}`);
+  joinUserRooms(socket).catch(error => console.error('Join rooms error:', error));
+
+  // Presence follows the user's connected sockets
+  const refreshPresence = () => {
+    updatePresence(io, socket.data.userId).catch(error => console.error('Presence update error:', error));
+  };
+  refreshPresence();
   
-  // Handle disconnection
+  // Keep the gateway session, and the rooms it was in, for a later resume
+  socket.on('disconnecting', () => {
+    detachSession(socket);
+  });
+  
+  // Handle disconnection; the user goes offline with their last socket
   socket.on('disconnect', () => {
     console.log(`User disconnected: ${socket.user?._id}`);
+    refreshPresence();
+    stopSocketTyping(io, socket).catch(error => console.error('Typing stop error:', error));
   });
-  
-  // Join a guild room
-  socket.on('joinGuild', (guildId) => {
-    socket.join(`guild:${guildId}`);
+
+  // Clients report when this device becomes idle or active again
+  socket.on('setIdle', (idle) => {
+    socket.data.idle = Boolean(idle);
+    refreshPresence();
   });
+
+  // Subscribe to a room once access is confirmed. `authorize` resolves to the
+  // room to join, or null; the client is told whether it worked through the
+  // acknowledgement callback.
+  const handleJoin = (event, authorize, deniedMessage) => {
+    socket.on(event, async (id, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const room = mongoose.Types.ObjectId.isValid(id) && await authorize(id);
+
+        if (!room) {
+          return reply({ error: deniedMessage });
+        }
+
+        socket.join(room);
+        reply({ ok: true });
+      } catch (error) {
+        console.error(`${event} error:`, error);
+        reply({ error: 'Server error' });
+      }
+    });
+  };
+
+  // Join a guild room if the user is a member
+  handleJoin('joinGuild', async (guildId) => {
+    const isMember = await Guild.exists({ _id: guildId, members: socket.user._id });
+    return isMember && `guild:${guildId}`;
+  }, 'You are not a member of this guild');
   
   // Leave a guild room
   socket.on('leaveGuild', (guildId) => {
     socket.leave(`guild:${guildId}`);
   });
   
-  // Join a channel room
-  socket.on('joinChannel', (channelId) => {
-    socket.join(`channel:${channelId}`);
-  });
+  // Join a channel or thread room if the user can view the channel; threads
+  // are visible to whoever can view their parent channel
+  handleJoin('joinChannel', async (channelId) => {
+    const loaded = await loadViewableChannel(channelId, socket.user._id);
+    return loaded && `channel:${channelId}`;
+  }, 'You do not have access to this channel');
   
   // Leave a channel room
   socket.on('leaveChannel', (channelId) => {
     socket.leave(`channel:${channelId}`);
   });
   
-  // Join a conversation room
-  socket.on('joinConversation', (conversationId) => {
-    socket.join(`conversation:${conversationId}`);
-  });
+  // Join a conversation room if the user is a participant
+  handleJoin('joinConversation', async (conversationId) => {
+    const isParticipant = await Conversation.exists({ _id: conversationId, participants: socket.user._id });
+    return isParticipant && `conversation:${conversationId}`;
+  }, 'You are not a participant in this conversation');
   
   // Leave a conversation room
   socket.on('leaveConversation', (conversationId) => {
     socket.leave(`conversation:${conversationId}`);
   });
+  
+  // Turn the { status, body } result of a message action into an acknowledgement
+  const replyWithResult = (reply, { status, body }) => {
+    if (status >= 400) {
+      const { message, ...details } = body;
+      return reply({ error: message, ...details });
+    }
+
+    reply({ ok: true, message: body });
+  };
+
+  // Send a message to a channel ({ channelId }) or conversation ({ conversationId })
+  // with the same checks as the REST routes. The acknowledgement carries the
+  // stored message; a retry with the same nonce gets the original back.
+  socket.on('sendMessage', async (data = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.user._id;
+      const validated = await validateSocketData(sendMessageValidators, data);
+
+      if (validated.errors) {
+        return reply({ error: 'Invalid message', errors: validated.errors });
+      }
+
+      const { channelId, conversationId, content, reference, mentionAuthor, nonce } = validated.data;
+      const input = { content, reference, mentionAuthor, nonce };
+
+      if (channelId) {
+        const loaded = await loadViewableChannel(channelId, userId);
+
+        if (!loaded || !loaded.permissions.has('SEND_MESSAGES')) {
+          return reply({ error: 'You do not have permission to send messages in this channel' });
+        }
+
+        return replyWithResult(reply, await sendChannelMessage(io, userId, loaded, input));
+      }
+
+      const conversation = await loadParticipantConversation(conversationId, userId);
+
+      if (!conversation) {
+        return reply({ error: 'You are not a participant in this conversation' });
+      }
+
+      replyWithResult(reply, await sendConversationMessage(io, userId, conversation, input));
+    } catch (error) {
+      console.error('Send message error:', error);
+      reply({ error: 'Server error' });
+    }
+  });
+
+  // Edit one of the user's messages ({ messageId, content })
+  socket.on('editMessage', async (data = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.user._id;
+      const validated = await validateSocketData(editMessageValidators, data);
+
+      if (validated.errors) {
+        return reply({ error: 'Invalid message', errors: validated.errors });
+      }
+
+      const loaded = await loadReadableMessage(validated.data.messageId, userId);
+
+      if (!loaded) {
+        return reply({ error: 'You do not have access to this message' });
+      }
+
+      replyWithResult(reply, await editMessage(io, userId, loaded, validated.data.content));
+    } catch (error) {
+      console.error('Update message error:', error);
+      reply({ error: 'Server error' });
+    }
+  });
+  
+  // Show or clear the user's typing indicator in a channel ({ channelId }) or
+  // conversation ({ conversationId }); throttled, and expiring on its own
+  const handleTyping = (event, update) => {
+    socket.on(event, async (data, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const target = await loadTypingTarget(socket.data.userId, data);
+
+        if (!target) {
+          return reply({ error: 'You cannot type here' });
+        }
+
+        await update(target);
+        reply({ ok: true });
+      } catch (error) {
+        console.error('Typing error:', error);
+        reply({ error: 'Server error' });
+      }
+    });
+  };
+
+  handleTyping('typingStart', target => startTyping(io, socket, target));
+  handleTyping('typingStop', target => stopTyping(io, socket.data.userId, target));
+  
+  // Mark a channel or conversation as read up to a message; the new read
+  // state reaches the user's other devices as a messageAck event
+  socket.on('ack', async ({ channelId, conversationId, messageId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.user._id;
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return reply({ error: 'Invalid message ID format' });
+      }
+
+      if (channelId) {
+        const loaded = await loadViewableChannel(channelId, userId);
+
+        if (!loaded || !loaded.permissions.has('READ_MESSAGE_HISTORY')) {
+          return reply({ error: 'You do not have access to this channel' });
+        }
+
+        if (!await Message.exists({ _id: messageId, channel: loaded.channel._id })) {
+          return reply({ error: 'Message not found in this channel' });
+        }
+
+        return reply(await acknowledge(
+          io,
+          userId,
+          { channel: loaded.channel._id },
+          messageId,
+          getMentionableRoleIds(loaded.guild, userId)
+        ));
+      }
+
+      const conversation = await loadParticipantConversation(conversationId, userId);
+
+      if (!conversation) {
+        return reply({ error: 'You are not a participant in this conversation' });
+      }
+
+      if (!await Message.exists({ _id: messageId, conversationId: conversation._id })) {
+        return reply({ error: 'Message not found in this conversation' });
+      }
+
+      reply(await acknowledge(io, userId, { conversationId: conversation._id }, messageId));
+    } catch (error) {
+      console.error('Acknowledge error:', error);
+      reply({ error: 'Server error' });
+    }
+  });
 });
 
 // Export socket.io instance to be used in route handlers
 app.set('io', io);
 
+// Expire member timeouts and archive inactive threads in the background
+startTimeoutSweeper(io);
+startThreadArchiver(io);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -0,0 +1,40 @@
+const AuditLog = require('../models/AuditLog');
+
+// Build a list of { key, before, after } entries for the keys that changed
+const diff = (before, after, keys) => {
+  return keys
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ key, before: before[key], after: after[key] }));
+};
+
+// Read the reason for an administrative action from the body or the
+// URI-encoded X-Audit-Log-Reason header
+const getAuditReason = (req) => {
+  let reason = req.body?.reason || '';
+
+  if (!reason && req.get('X-Audit-Log-Reason')) {
+    try {
+      reason = decodeURIComponent(req.get('X-Audit-Log-Reason'));
+    } catch (error) {
+      reason = req.get('X-Audit-Log-Reason');
+    }
+  }
+
+  return String(reason).slice(0, 512);
+};
+
+// Record an entry in a guild's audit log. Failures are logged rather than
+// thrown so that they never undo the action being recorded.
+const recordAuditLog = async ({ guild, actor, action, target = null, changes = [], reason = '' }) => {
+  try {
+    await AuditLog.create({ guild, actor, action, target, changes, reason });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  diff,
+  getAuditReason,
+  recordAuditLog
+};
@@ -0,0 +1,49 @@
+const Message = require('../models/Message');
+const { serializeMessages } = require('./messages');
+
+// Populate the fields of a conversation that are sent to clients
+const populateConversation = (conversation) => {
+  return conversation.populate([
+    { path: 'participants', select: 'username avatar status' },
+    { path: 'creator', select: 'username avatar' },
+    { path: 'owner', select: 'username avatar' },
+    { path: 'lastMessage' }
+  ]);
+};
+
+// Get the rooms that reach every participant of a conversation
+const getConversationRooms = (conversation) => {
+  return conversation.participants.map(participant => `user:${participant._id || participant}`);
+};
+
+// Post a system notice about a membership change in a group conversation and
+// deliver it to the participants like any other message
+const postSystemMessage = async (io, conversation, type, author, targetUser) => {
+  const message = new Message({
+    type,
+    author,
+    conversationId: conversation._id,
+    targetUser
+  });
+
+  await message.save();
+
+  conversation.lastMessage = message._id;
+  await conversation.save();
+
+  await message.populate([
+    { path: 'author', select: 'username avatar' },
+    { path: 'targetUser', select: 'username avatar' }
+  ]);
+
+  const [data] = await serializeMessages([message]);
+  io.to(getConversationRooms(conversation)).to(`conversation:${conversation._id}`).emit('newMessage', data);
+
+  return message;
+};
+
+module.exports = {
+  populateConversation,
+  getConversationRooms,
+  postSystemMessage
+};
@@ -0,0 +1,78 @@
+// File type detection from content, so uploads never rely on the
+// client-supplied mimetype or file extension
+
+// Known signatures: bytes expected at an offset, with the type and extension they identify
+const SIGNATURES = [
+  { mime: 'image/jpeg', ext: '.jpg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+  { mime: 'image/png', ext: '.png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mime: 'image/gif', ext: '.gif', offset: 0, bytes: 'GIF87a' },
+  { mime: 'image/gif', ext: '.gif', offset: 0, bytes: 'GIF89a' },
+  { mime: 'image/webp', ext: '.webp', offset: 0, bytes: 'RIFF', extra: { offset: 8, bytes: 'WEBP' } },
+  { mime: 'audio/wav', ext: '.wav', offset: 0, bytes: 'RIFF', extra: { offset: 8, bytes: 'WAVE' } },
+  { mime: 'image/avif', ext: '.avif', offset: 4, bytes: 'ftypavif' },
+  { mime: 'image/heic', ext: '.heic', offset: 4, bytes: 'ftypheic' },
+  { mime: 'video/quicktime', ext: '.mov', offset: 4, bytes: 'ftypqt' },
+  { mime: 'audio/mp4', ext: '.m4a', offset: 4, bytes: 'ftypM4A' },
+  { mime: 'video/mp4', ext: '.mp4', offset: 4, bytes: 'ftyp' },
+  { mime: 'video/webm', ext: '.webm', offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { mime: 'audio/ogg', ext: '.ogg', offset: 0, bytes: 'OggS' },
+  { mime: 'audio/flac', ext: '.flac', offset: 0, bytes: 'fLaC' },
+  { mime: 'audio/mpeg', ext: '.mp3', offset: 0, bytes: 'ID3' },
+  { mime: 'audio/mpeg', ext: '.mp3', offset: 0, bytes: [0xFF, 0xFB] },
+  { mime: 'audio/mpeg', ext: '.mp3', offset: 0, bytes: [0xFF, 0xF3] },
+  { mime: 'audio/mpeg', ext: '.mp3', offset: 0, bytes: [0xFF, 0xF2] },
+  { mime: 'application/pdf', ext: '.pdf', offset: 0, bytes: '%PDF-' },
+  { mime: 'application/zip', ext: '.zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { mime: 'application/zip', ext: '.zip', offset: 0, bytes: [0x50, 0x4B, 0x05, 0x06] }
+];
+
+// Markup that browsers render as a document and can run scripts from, as
+// sniffed from the start of a file. Files like these are never accepted.
+const ACTIVE_CONTENT = [
+  { mime: 'image/svg+xml', ext: '.svg', pattern: /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype\s+svg|<svg[\s>])/ },
+  { mime: 'text/xml', ext: '.xml', pattern: /^\s*<\?xml/ },
+  { mime: 'text/html', ext: '.html', pattern: /^\s*(<!doctype\s+html|<!--|<(html|head|body|script|iframe|h1|div|font|table|a|style|title|b|br|p)[\s>])/ }
+];
+const SNIFF_LENGTH = 1024;
+
+const matchesAt = (buffer, offset, bytes) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= offset + expected.length &&
+    buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+// Check whether a buffer holds text: valid UTF-8 without control characters
+const isText = (buffer) => {
+  const text = buffer.toString('utf8');
+  return !text.includes('\uFFFD') && !/[\x00-\x08\x0E-\x1F]/.test(text);
+};
+
+// Detect the type of a file from its content. Returns { mime, ext }, with
+// text/plain for text and application/octet-stream for anything unrecognised.
+// Markup from the active content list is flagged with `active: true`.
+const detectFileType = (buffer) => {
+  const signature = SIGNATURES.find(({ offset, bytes, extra }) =>
+    matchesAt(buffer, offset, bytes) && (!extra || matchesAt(buffer, extra.offset, extra.bytes))
+  );
+
+  if (signature) {
+    return { mime: signature.mime, ext: signature.ext };
+  }
+
+  const head = buffer.subarray(0, SNIFF_LENGTH).toString('utf8').replace(/^\uFEFF/, '').toLowerCase();
+  const active = ACTIVE_CONTENT.find(({ pattern }) => pattern.test(head));
+
+  if (active) {
+    return { mime: active.mime, ext: active.ext, active: true };
+  }
+
+  if (isText(buffer)) {
+    return { mime: 'text/plain', ext: '.txt' };
+  }
+
+  return { mime: 'application/octet-stream', ext: '.bin' };
+};
+
+module.exports = {
+  detectFileType
+};
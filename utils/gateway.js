@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { Adapter } = require('socket.io-adapter');
+
+// Gateway sessions let a client that lost its connection pick up where it
+// left off. Every event sent to a session gets the next sequence number, as a
+// trailing { seq } argument, and is kept in a bounded replay buffer. While a
+// session is disconnected it keeps recording the events of its rooms, until
+// it is resumed or expires. Volatile events are sent live only, like the
+// ephemeral ones, and acknowledgement callbacks are never replayed.
+
+const REPLAY_BUFFER_SIZE = parseInt(process.env.GATEWAY_REPLAY_BUFFER_SIZE) || 500;
+const SESSION_TTL = parseInt(process.env.GATEWAY_SESSION_TTL) || 2 * 60 * 1000; // 2 minutes
+
+// Events that only matter live; they are neither numbered nor replayed
+const EPHEMERAL_EVENTS = new Set(['typingStart', 'typingStop']);
+
+// Sessions by id, connected or waiting to be resumed
+const sessions = new Map();
+
+// Number an event and add it to the replay buffer, dropping the oldest
+const record = (session, event, args) => {
+  session.seq += 1;
+  session.buffer.push({ seq: session.seq, event, args });
+
+  if (session.buffer.length > REPLAY_BUFFER_SIZE) {
+    session.buffer.shift();
+  }
+
+  return session.seq;
+};
+
+// Set the volatile and compress flags of an emit on a socket
+const withFlags = (socket, { volatile, compress } = {}) => {
+  const target = volatile ? socket.volatile : socket;
+  return compress === undefined ? target : target.compress(compress);
+};
+
+// Deliver an event to the session's socket through the sequenced emit. Until
+// a new session has sent READY, events are only recorded, then sent after it.
+// A trailing acknowledgement callback stays last, after the { seq } argument.
+// Returns whether the event was sent.
+const dispatch = (session, event, args, flags = {}) => {
+  const ack = typeof args[args.length - 1] === 'function' ? [args.pop()] : [];
+  const live = EPHEMERAL_EVENTS.has(event) || flags.volatile;
+  const sequence = live ? [] : [{ seq: record(session, event, args) }];
+
+  if (!session.ready) return false;
+
+  withFlags(session.socket, flags);
+  return session.send(event, ...args, ...sequence, ...ack);
+};
+
+// Check whether a disconnected session was in the rooms a broadcast targets
+const isTargeted = (session, { rooms, except }) => {
+  const inRooms = rooms.size === 0 || [...rooms].some(room => session.rooms.has(room));
+  const excepted = [...(except || [])].some(room => session.rooms.has(room));
+  return inRooms && !excepted;
+};
+
+const getDetachedSessions = (opts) => {
+  return [...sessions.values()].filter(session => !session.socket && isTargeted(session, opts));
+};
+
+// Record a broadcast for the disconnected sessions it targets, unless it is
+// only meant for connected clients
+const recordDetached = (opts, event, args) => {
+  const flags = opts.flags || {};
+  if (flags.volatile || EPHEMERAL_EVENTS.has(event)) return;
+
+  getDetachedSessions(opts).forEach(session => record(session, event, args));
+};
+
+// Socket.IO adapter that sends broadcasts through each socket's sequenced emit
+// and records them for disconnected sessions. The volatile and compress flags
+// are passed on to each socket; `local` needs nothing, as this adapter only
+// serves one process. Room changes made with socketsJoin and socketsLeave
+// also apply to disconnected sessions, so they don't record events their user
+// has lost access to.
+class GatewayAdapter extends Adapter {
+  broadcast(packet, opts) {
+    const [event, ...args] = packet.data;
+
+    this.apply(opts, socket => withFlags(socket, opts.flags).emit(event, ...args));
+    recordDetached(opts, event, args);
+  }
+
+  // Broadcasts that expect acknowledgements are numbered like the others.
+  // Only the sockets the event reached are counted, so held and replayed
+  // copies, which carry no callback, aren't waited for.
+  broadcastWithAck(packet, opts, clientCountCallback, ack) {
+    const [event, ...args] = packet.data;
+    let clientCount = 0;
+
+    this.apply(opts, socket => {
+      if (withFlags(socket, opts.flags).emit(event, ...args, ack)) {
+        clientCount++;
+      }
+    });
+    recordDetached(opts, event, args);
+
+    clientCountCallback(clientCount);
+  }
+
+  addSockets(opts, rooms) {
+    super.addSockets(opts, rooms);
+    getDetachedSessions(opts).forEach(session => rooms.forEach(room => session.rooms.add(room)));
+  }
+
+  delSockets(opts, rooms) {
+    super.delSockets(opts, rooms);
+    getDetachedSessions(opts).forEach(session => rooms.forEach(room => session.rooms.delete(room)));
+  }
+}
+
+const createSession = (userId) => {
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    userId,
+    seq: 0,
+    buffer: [],
+    socket: null,
+    send: null,
+    ready: false,
+    rooms: new Set(),
+    expiry: null
+  };
+
+  sessions.set(session.id, session);
+  return session;
+};
+
+// Work out why a session can't be resumed from a sequence number, if it can't
+const getResumeError = (session, seq) => {
+  if (!session.ready) {
+    return 'Session was never ready';
+  }
+
+  if (!Number.isInteger(seq) || seq < 0 || seq > session.seq) {
+    return 'Invalid sequence number';
+  }
+
+  const oldest = session.buffer.length > 0 ? session.buffer[0].seq : session.seq + 1;
+  if (seq < oldest - 1) {
+    return 'Too many events were missed';
+  }
+
+  return null;
+};
+
+// Start a session for a new socket, or resume the one named in the handshake
+// ({ sessionId, seq }) and replay the events after seq, followed by RESUMED.
+// New sessions hold their events until sendReady; when resuming fails the
+// socket first gets a `resync` event and a new session, so a fresh READY.
+// Returns whether the session was resumed.
+const openSession = (socket) => {
+  const { sessionId, seq } = socket.handshake.auth || {};
+  const userId = socket.data.userId;
+  let session = typeof sessionId === 'string' ? sessions.get(sessionId) : null;
+  let resumeError = null;
+
+  if (session && session.userId !== userId) {
+    session = null;
+  }
+
+  if (sessionId && !session) {
+    resumeError = 'Session not found or expired';
+  } else if (session) {
+    resumeError = getResumeError(session, Number(seq));
+  }
+
+  // A session can only have one socket; an old connection that hasn't been
+  // noticed as dropped yet is closed first
+  if (session && !resumeError && session.socket) {
+    session.socket.disconnect(true);
+  }
+
+  if (resumeError) {
+    if (session) {
+      clearTimeout(session.expiry);
+      sessions.delete(session.id);
+    }
+    session = null;
+  }
+
+  const resumed = Boolean(session);
+  session = session || createSession(userId);
+
+  clearTimeout(session.expiry);
+  session.socket = socket;
+  session.send = socket.emit.bind(socket);
+  socket.data.sessionId = session.id;
+  socket.emit = (event, ...args) => {
+    // Flags set with socket.volatile or socket.compress() apply to this emit only
+    const flags = socket.flags;
+    socket.flags = {};
+    return dispatch(session, event, args, flags);
+  };
+
+  if (resumeError) {
+    session.send('resync', { reason: resumeError });
+  }
+
+  if (!resumed) {
+    return false;
+  }
+
+  // Rejoin the rooms the session kept while disconnected and replay what was missed
+  socket.join([...session.rooms]);
+
+  const missed = session.buffer.filter(entry => entry.seq > Number(seq));
+  missed.forEach(entry => session.send(entry.event, ...entry.args, { seq: entry.seq }));
+
+  session.send('RESUMED', { sessionId: session.id, seq: session.seq, replayed: missed.length });
+  return true;
+};
+
+// Send READY to a new session, with its id, then the events recorded while
+// the payload was being built
+const sendReady = (socket, payload) => {
+  const session = sessions.get(socket.data.sessionId);
+  if (!session || session.socket !== socket || session.ready) return;
+
+  session.send('READY', { ...payload, sessionId: session.id });
+  session.ready = true;
+  session.buffer.forEach(entry => session.send(entry.event, ...entry.args, { seq: entry.seq }));
+};
+
+// Keep a session around after its socket disconnects, remembering its rooms,
+// until it is resumed or expires. Must run on `disconnecting`, while the
+// socket is still in its rooms.
+const detachSession = (socket) => {
+  const session = sessions.get(socket.data.sessionId);
+  if (!session || session.socket !== socket) return;
+
+  session.socket = null;
+  session.send = null;
+  session.rooms = new Set([...socket.rooms].filter(room => room !== socket.id));
+  session.expiry = setTimeout(() => sessions.delete(session.id), SESSION_TTL);
+  session.expiry.unref();
+};
+
+module.exports = {
+  GatewayAdapter,
+  openSession,
+  sendReady,
+  detachSession,
+  REPLAY_BUFFER_SIZE,
+  SESSION_TTL
+};
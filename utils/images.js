@@ -0,0 +1,83 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+// Square sizes generated for avatars and icons, and bounding boxes for attachment previews
+const IMAGE_SIZES = [64, 128, 512];
+
+// Formats that can carry EXIF data and are re-encoded to drop it
+const METADATA_FORMATS = ['jpeg', 'png', 'webp', 'tiff', 'avif', 'heif'];
+
+// Read the metadata of an image, or null when the buffer is not a decodable image
+const readImageMetadata = async (buffer) => {
+  try {
+    return await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Load an image for processing. Animated images keep their frames; still images
+// are rotated according to their EXIF orientation first, since it is about to be dropped.
+const loadImage = (buffer, metadata) => {
+  const animated = (metadata.pages || 1) > 1;
+  const image = sharp(buffer, { animated });
+  return animated ? image : image.rotate();
+};
+
+// Build square WebP variants of an avatar or icon. Output never carries metadata.
+const createSquareVariants = (buffer, metadata) => {
+  return Promise.all(IMAGE_SIZES.map(async (size) => ({
+    size,
+    buffer: await loadImage(buffer, metadata)
+      .resize(size, size, { fit: 'cover' })
+      .webp()
+      .toBuffer()
+  })));
+};
+
+// Build WebP preview thumbnails of an attachment that fit inside each size.
+// Sizes the image is already smaller than are skipped.
+const createThumbnails = (buffer, metadata) => {
+  const longestSide = Math.max(metadata.width, metadata.height);
+  const sizes = IMAGE_SIZES.filter(size => size < longestSide);
+
+  return Promise.all(sizes.map(async (size) => {
+    const { data, info } = await loadImage(buffer, metadata)
+      .resize(size, size, { fit: 'inside' })
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+
+    return { size, buffer: data, width: info.width, height: info.height };
+  }));
+};
+
+// Re-encode an image in its own format to strip EXIF data such as GPS coordinates.
+// Formats that cannot carry EXIF are returned untouched.
+const stripMetadata = (buffer, metadata) => {
+  if (!METADATA_FORMATS.includes(metadata.format)) {
+    return buffer;
+  }
+
+  return loadImage(buffer, metadata).toFormat(metadata.format).toBuffer();
+};
+
+// Compute a blurhash placeholder clients can show while the image loads
+const createPlaceholder = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .raw()
+    .ensureAlpha()
+    .resize(32, 32, { fit: 'inside' })
+    .toBuffer({ resolveWithObject: true });
+
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  readImageMetadata,
+  createSquareVariants,
+  createThumbnails,
+  stripMetadata,
+  createPlaceholder
+};
@@ -0,0 +1,112 @@
+const Channel = require('../models/Channel');
+const { includesId, canViewChannel } = require('./permissions');
+
+// Mention syntax in message content
+const USER_MENTION = /<@!?([0-9a-f]{24})>/g;
+const ROLE_MENTION = /<@&([0-9a-f]{24})>/g;
+const CHANNEL_MENTION = /<#([0-9a-f]{24})>/g;
+const EVERYONE_MENTION = /@everyone\b/;
+const HERE_MENTION = /@here\b/;
+
+// Collect the unique ids captured by a mention pattern
+const matchIds = (content, pattern) => {
+  return [...new Set([...content.matchAll(pattern)].map(match => match[1]))];
+};
+
+// Extract raw mentions from message content, without validating them
+const parseMentions = (content = '') => ({
+  users: matchIds(content, USER_MENTION),
+  roles: matchIds(content, ROLE_MENTION),
+  channels: matchIds(content, CHANNEL_MENTION),
+  everyone: EVERYONE_MENTION.test(content),
+  here: HERE_MENTION.test(content)
+});
+
+// Resolve the mentions in a message's content against where it is posted.
+// In a guild, users must be members, roles and channels must belong to the
+// guild and @everyone/@here only count with MENTION_EVERYONE. In a
+// conversation, only participants can be mentioned.
+const resolveMentions = async (content, { guild, permissions, conversation }) => {
+  const parsed = parseMentions(content);
+
+  if (conversation) {
+    return {
+      users: parsed.users.filter(id => includesId(conversation.participants, id)),
+      roles: [],
+      channels: [],
+      everyone: false,
+      here: false
+    };
+  }
+
+  const channels = parsed.channels.length > 0
+    ? await Channel.find({ _id: { $in: parsed.channels }, guild: guild._id }).select('_id')
+    : [];
+  const canMentionEveryone = permissions.has('MENTION_EVERYONE');
+
+  return {
+    users: parsed.users.filter(id => includesId(guild.members, id)),
+    roles: guild.roles
+      .filter(role => role.name !== '@everyone' && parsed.roles.includes(role._id.toString()))
+      .map(role => role._id),
+    channels: channels.map(channel => channel._id),
+    everyone: canMentionEveryone && (parsed.everyone || parsed.here),
+    // @here only reaches members who are connected
+    here: canMentionEveryone && parsed.here && !parsed.everyone
+  };
+};
+
+// Store resolved mentions on a message, replacing the previous ones
+const setMessageMentions = (message, mentions) => {
+  message.mentions = mentions.users;
+  message.mentionRoles = mentions.roles;
+  message.mentionChannels = mentions.channels;
+  message.mentionEveryone = mentions.everyone;
+};
+
+// Work out who a message notifies: mentioned users, members of mentioned
+// roles and, for @everyone, every member (only connected ones for @here).
+// Only users who can see the message are included, never its author.
+const getMentionRecipients = async (io, message, { guild, permissionChannel, conversation, here = false }) => {
+  const recipients = new Set(message.mentions.map(id => id.toString()));
+
+  if (guild) {
+    guild.roles
+      .filter(role => includesId(message.mentionRoles || [], role._id))
+      .forEach(role => role.members.forEach(id => recipients.add(id.toString())));
+
+    if (message.mentionEveryone && here) {
+      const sockets = await io.in(`guild:${guild._id}`).fetchSockets();
+      sockets.forEach(socket => recipients.add(socket.data.userId.toString()));
+    } else if (message.mentionEveryone) {
+      guild.members.forEach(id => recipients.add(id.toString()));
+    }
+  }
+
+  recipients.delete(message.author._id ? message.author._id.toString() : message.author.toString());
+
+  return [...recipients].filter(id => guild
+    ? canViewChannel(guild, permissionChannel, id)
+    : includesId(conversation.participants, id)
+  );
+};
+
+// Send a `mention` event to everyone a message notifies, skipping users in
+// `alreadyNotified` (e.g. those pinged before an edit)
+const notifyMentions = async (io, message, data, context, alreadyNotified = []) => {
+  const recipients = await getMentionRecipients(io, message, context);
+
+  recipients
+    .filter(id => !alreadyNotified.includes(id))
+    .forEach(id => io.to(`user:${id}`).emit('mention', data));
+
+  return recipients;
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  setMessageMentions,
+  getMentionRecipients,
+  notifyMentions
+};
@@ -0,0 +1,320 @@
+const { body } = require('express-validator');
+const Message = require('../models/Message');
+const { includesId, canViewChannel } = require('./permissions');
+const {
+  serializeMessage,
+  serializeMessages,
+  loadReferencePreviews,
+  findReferencedMessage,
+  getMessageRoom
+} = require('./messages');
+const { touchThread } = require('./threads');
+const { resolveMentions, setMessageMentions, getMentionRecipients, notifyMentions } = require('./mentions');
+const { acknowledge } = require('./readStates');
+const { hasBlockBetween } = require('./relationships');
+const { getConversationRooms } = require('./conversations');
+const { stopTyping } = require('./typing');
+
+// Sending and editing messages, shared by the REST routes and the socket
+// events. Each action resolves to { status, body }: the REST response, which
+// the socket handlers turn into an acknowledgement.
+
+const MAX_NONCE_LENGTH = 64;
+
+// How long a nonce keeps a retry from posting twice in the same place
+const NONCE_WINDOW = parseInt(process.env.MESSAGE_NONCE_WINDOW) || 10 * 60 * 1000; // 10 minutes
+
+// Validators for a new message
+const sendMessageValidators = [
+  body('content')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message content must be at most 2000 characters'),
+  body('reference')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid referenced message ID'),
+  body('mentionAuthor')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('mentionAuthor must be a boolean'),
+  body('nonce')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: MAX_NONCE_LENGTH })
+    .withMessage(`Nonce must be a string of 1 to ${MAX_NONCE_LENGTH} characters`)
+];
+
+// Validators for an edit
+const editMessageValidators = [
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message content must be at most 2000 characters')
+];
+
+const refuse = (status, message, extra = {}) => ({ status, body: { message, ...extra } });
+
+// Answer a retried send with the message stored by the first attempt. The
+// result is flagged as a duplicate, so files uploaded by the retry are removed.
+const replayMessage = async (message, userId) => {
+  await message.populate('author', 'username avatar');
+  const [data] = await serializeMessages([message], userId);
+  return { status: 200, body: data, duplicate: true };
+};
+
+// Query for the messages of the same author, channel or conversation and nonce
+// as a new message
+const getNonceQuery = (message) => ({
+  author: message.author,
+  channel: message.channel || null,
+  conversationId: message.conversationId || null,
+  nonce: message.nonce
+});
+
+// Find the message an earlier attempt with the same nonce posted in the same
+// place within the nonce window. Older messages give up their nonce, so it can
+// be used again.
+const findDuplicate = async (message) => {
+  if (!message.nonce) return null;
+
+  const query = getNonceQuery(message);
+  const cutoff = new Date(Date.now() - NONCE_WINDOW);
+
+  await Message.updateMany({ ...query, createdAt: { $lt: cutoff } }, { $unset: { nonce: 1 } });
+  return Message.findOne({ ...query, createdAt: { $gte: cutoff } });
+};
+
+// Save a new message. When a concurrent attempt with the same nonce got there
+// first, the unique index refuses this one and the stored message is returned.
+const saveMessage = async (message) => {
+  try {
+    await message.save();
+    return null;
+  } catch (error) {
+    const existing = error.code === 11000 && await Message.findOne(getNonceQuery(message));
+    if (existing) return existing;
+    throw error;
+  }
+};
+
+// Attach the message being replied to, pinging its author when asked and
+// allowed to. Resolves to false when the reference isn't in the same place.
+const setReference = async (message, reference, mentionAuthor, canPing) => {
+  if (!reference) return true;
+
+  const referenced = await findReferencedMessage(reference, message);
+  if (!referenced) return false;
+
+  message.reference = referenced._id;
+
+  const pingAuthor = mentionAuthor &&
+    referenced.author.toString() !== message.author.toString() &&
+    !includesId(message.mentions, referenced.author) &&
+    canPing(referenced.author);
+
+  if (pingAuthor) {
+    message.mentions.push(referenced.author);
+  }
+
+  return true;
+};
+
+// Post a message in a channel or thread. The context holds the channel, its
+// guild, the channel whose overwrites apply and the author's permissions
+// there; SEND_MESSAGES must already have been checked.
+const sendChannelMessage = async (io, userId, context, input) => {
+  const { channel, guild, permissionChannel, permissions } = context;
+  const { content = '', reference, mentionAuthor = true, attachments = [], nonce } = input;
+
+  // A message needs text, files or both
+  if (!content && attachments.length === 0) {
+    return refuse(400, 'Message must have content or attachments');
+  }
+
+  // Timed out members cannot post
+  const timeout = guild.getActiveTimeout(userId);
+  if (timeout) {
+    return refuse(403, 'You are timed out in this guild', { until: timeout.until });
+  }
+
+  // Only moderators can post in locked threads
+  if (channel.locked && !permissions.has('MANAGE_THREADS')) {
+    return refuse(403, 'This thread is locked');
+  }
+
+  const message = new Message({
+    content,
+    author: userId,
+    channel: channel._id,
+    attachments,
+    nonce
+  });
+
+  // A retry gets the message its first attempt posted
+  const duplicate = await findDuplicate(message);
+  if (duplicate) return replayMessage(duplicate, userId);
+
+  // Resolve user, role, channel and @everyone mentions in the content
+  const mentions = await resolveMentions(content, { guild, permissions });
+  setMessageMentions(message, mentions);
+
+  // Ping the author of the replied-to message if they can still see the channel
+  const referenceFound = await setReference(message, reference, mentionAuthor, authorId =>
+    canViewChannel(guild, permissionChannel, authorId)
+  );
+
+  if (!referenceFound) {
+    return refuse(400, 'Referenced message not found in this channel');
+  }
+
+  const existing = await saveMessage(message);
+  if (existing) return replayMessage(existing, userId);
+
+  await message.populate('author', 'username avatar');
+  const [data] = await serializeMessages([message], userId);
+
+  if (channel.type === 'thread') {
+    await touchThread(io, guild, channel, permissionChannel, userId);
+  }
+
+  // Notify clients about the new message
+  io.to(`channel:${channel._id}`).emit('newMessage', data);
+  await stopTyping(io, userId, { channel, guild, permissionChannel });
+
+  await notifyMentions(io, message, data, { guild, permissionChannel, here: mentions.here });
+
+  // Posting marks the channel as read for the author
+  await acknowledge(io, userId, { channel: channel._id }, message._id);
+
+  return { status: 201, body: data };
+};
+
+// Post a message in a conversation the author takes part in
+const sendConversationMessage = async (io, userId, conversation, input) => {
+  const { content = '', reference, mentionAuthor = true, attachments = [], nonce } = input;
+
+  // A message needs text, files or both
+  if (!content && attachments.length === 0) {
+    return refuse(400, 'Message must have content or attachments');
+  }
+
+  // No messages in a 1:1 DM once either side has blocked the other
+  const others = conversation.participants.filter(id => id.toString() !== userId.toString());
+  if (conversation.type !== 'group' && await hasBlockBetween(userId, others)) {
+    return refuse(403, 'You cannot send messages to this user');
+  }
+
+  const message = new Message({
+    content,
+    author: userId,
+    conversationId: conversation._id,
+    attachments,
+    nonce
+  });
+
+  // A retry gets the message its first attempt posted
+  const duplicate = await findDuplicate(message);
+  if (duplicate) return replayMessage(duplicate, userId);
+
+  // Resolve mentions of other participants in the content
+  const mentions = await resolveMentions(content, { conversation });
+  setMessageMentions(message, mentions);
+
+  // Ping the author of the replied-to message if they are still a participant
+  const referenceFound = await setReference(message, reference, mentionAuthor, authorId =>
+    includesId(conversation.participants, authorId)
+  );
+
+  if (!referenceFound) {
+    return refuse(400, 'Referenced message not found in this conversation');
+  }
+
+  const existing = await saveMessage(message);
+  if (existing) return replayMessage(existing, userId);
+
+  // Update conversation with last message
+  conversation.lastMessage = message._id;
+  await conversation.save();
+
+  await message.populate('author', 'username avatar');
+  const [data] = await serializeMessages([message], userId);
+
+  // Notify participants about the new message; sockets in several of the
+  // rooms still get it once
+  io.to(getConversationRooms(conversation)).to(`conversation:${conversation._id}`).emit('newMessage', data);
+  await stopTyping(io, userId, { conversation });
+
+  await notifyMentions(io, message, data, { conversation });
+
+  // Posting marks the conversation as read for the author
+  await acknowledge(io, userId, { conversationId: conversation._id }, message._id);
+
+  return { status: 201, body: data };
+};
+
+// Edit the content of a message. The context is what loadMessage provides:
+// the message plus its guild, permission channel and the editor's
+// permissions, or its conversation.
+const editMessage = async (io, userId, context, content) => {
+  const { message, guild, permissionChannel, permissions, conversation } = context;
+
+  // Check if user is the author of the message
+  if (message.author.toString() !== userId.toString()) {
+    return refuse(403, 'You can only edit your own messages');
+  }
+
+  if (message.type !== 'default') {
+    return refuse(400, 'System messages cannot be edited');
+  }
+
+  // Content can only be cleared on messages that keep their attachments
+  if (!content && message.attachments.length === 0) {
+    return refuse(400, 'Message must have content or attachments');
+  }
+
+  const mentionContext = { guild, permissionChannel, conversation };
+
+  // Users pinged by the current version don't get pinged again
+  const alreadyNotified = await getMentionRecipients(io, message, mentionContext);
+
+  // Re-resolve mentions, keeping the reply ping to the replied-to author
+  const referenced = message.reference && await Message.findById(message.reference).select('author');
+  const keepReplyPing = referenced && includesId(message.mentions, referenced.author);
+  const mentions = await resolveMentions(content, { guild, permissions, conversation });
+
+  if (keepReplyPing && !includesId(mentions.users, referenced.author)) {
+    mentions.users.push(referenced.author);
+  }
+
+  // Update message
+  message.content = content;
+  message.updatedAt = Date.now();
+  setMessageMentions(message, mentions);
+  await message.save();
+  await message.populate('author', 'username avatar');
+
+  const previews = await loadReferencePreviews([message]);
+
+  // Notify clients about the update
+  io.to(getMessageRoom(message)).emit('messageUpdate', serializeMessage(message, null, previews));
+
+  await notifyMentions(io, message, serializeMessage(message, null, previews), {
+    ...mentionContext,
+    here: mentions.here
+  }, alreadyNotified);
+
+  return { status: 200, body: serializeMessage(message, userId, previews) };
+};
+
+module.exports = {
+  sendMessageValidators,
+  editMessageValidators,
+  sendChannelMessage,
+  sendConversationMessage,
+  editMessage
+};
@@ -0,0 +1,129 @@
+const Message = require('../models/Message');
+const { getSignedUrl } = require('./storage');
+const { getBlockedIds } = require('./relationships');
+
+// Get the id of a message author, whether populated or not
+const getAuthorId = (author) => (author && author._id ? author._id : author).toString();
+
+const REFERENCE_PREVIEW_LENGTH = 100;
+const MAX_PINS = 50;
+
+// Convert a message into the shape sent to clients. Reactions are aggregated
+// into counts; when a viewer is given, each also carries a `me` flag.
+// Replies get a `referencedMessage` preview from the given previews map and
+// attachments get signed, expiring download URLs in place of their storage keys.
+// Messages from users the viewer blocked are flagged with `authorBlocked`.
+const serializeMessage = (message, viewerId = null, previews = new Map(), blockedIds = new Set()) => {
+  const data = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+
+  data.attachments = (data.attachments || []).map(({ key, variants, ...attachment }) => {
+    const serialized = { ...attachment, url: getSignedUrl(key) };
+    if (variants) {
+      serialized.variants = Object.fromEntries(variants.map(variant => [variant.size, getSignedUrl(variant.key)]));
+    }
+    return serialized;
+  });
+
+  data.reactions = (data.reactions || []).map(reaction => {
+    const aggregated = { emoji: reaction.emoji, count: reaction.users.length };
+    if (viewerId) {
+      aggregated.me = reaction.users.some(user => user.toString() === viewerId.toString());
+    }
+    return aggregated;
+  });
+
+  if (data.reference) {
+    data.referencedMessage = previews.get(data.reference.toString()) || { _id: data.reference, deleted: true };
+
+    if (data.referencedMessage.author && blockedIds.has(getAuthorId(data.referencedMessage.author))) {
+      data.referencedMessage = { ...data.referencedMessage, authorBlocked: true };
+    }
+  }
+
+  if (blockedIds.has(getAuthorId(data.author))) {
+    data.authorBlocked = true;
+  }
+
+  return data;
+};
+
+// Build lightweight previews of the messages that replies point to
+const loadReferencePreviews = async (messages) => {
+  const ids = messages.filter(message => message.reference).map(message => message.reference);
+  const previews = new Map();
+
+  if (ids.length === 0) return previews;
+
+  const referenced = await Message.find({ _id: { $in: ids } })
+    .select('content author')
+    .populate('author', 'username avatar');
+
+  referenced.forEach(message => {
+    const content = message.content.length > REFERENCE_PREVIEW_LENGTH
+      ? `${message.content.slice(0, REFERENCE_PREVIEW_LENGTH)}…`
+      : message.content;
+
+    previews.set(message._id.toString(), {
+      _id: message._id,
+      author: message.author,
+      content,
+      deleted: false
+    });
+  });
+
+  return previews;
+};
+
+// Serialize a list of messages for a viewer, resolving reply previews and
+// the viewer's blocked users in one query each
+const serializeMessages = async (messages, viewerId = null) => {
+  const [previews, blockedIds] = await Promise.all([
+    loadReferencePreviews(messages),
+    viewerId ? getBlockedIds(viewerId) : new Set()
+  ]);
+  return messages.map(message => serializeMessage(message, viewerId, previews, blockedIds));
+};
+
+// Describe where a message lives, as a query filter and socket payload fragment
+const getMessageLocation = (message) => {
+  return message.channel
+    ? { channel: message.channel._id || message.channel }
+    : { conversationId: message.conversationId };
+};
+
+// Find the message a reply points to; it must live in the same channel or conversation
+const findReferencedMessage = (referenceId, message) => {
+  return Message.findOne({ _id: referenceId, ...getMessageLocation(message) });
+};
+
+// Pin or unpin a message. Returns false when the pin limit has been reached.
+const setMessagePinned = async (message, pinned) => {
+  if (pinned && !message.pinned) {
+    const pinCount = await Message.countDocuments({ ...getMessageLocation(message), pinned: true });
+    if (pinCount >= MAX_PINS) return false;
+  }
+
+  message.pinned = pinned;
+  message.pinnedAt = pinned ? new Date() : null;
+  await message.save();
+
+  return true;
+};
+
+// Get the socket room that events about a message are sent to
+const getMessageRoom = (message) => {
+  return message.channel
+    ? `channel:${message.channel._id || message.channel}`
+    : `conversation:${message.conversationId}`;
+};
+
+module.exports = {
+  serializeMessage,
+  serializeMessages,
+  loadReferencePreviews,
+  getMessageLocation,
+  findReferencedMessage,
+  setMessagePinned,
+  getMessageRoom,
+  MAX_PINS
+};
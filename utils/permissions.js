@@ -0,0 +1,139 @@
+// All permission flags understood by the server
+const PERMISSIONS = [
+  'ADMINISTRATOR',
+  'MANAGE_GUILD',
+  'MANAGE_ROLES',
+  'MANAGE_CHANNELS',
+  'KICK_MEMBERS',
+  'BAN_MEMBERS',
+  'MODERATE_MEMBERS',
+  'VIEW_AUDIT_LOG',
+  'CREATE_INVITE',
+  'VIEW_CHANNELS',
+  'SEND_MESSAGES',
+  'MENTION_EVERYONE',
+  'READ_MESSAGE_HISTORY',
+  'MANAGE_MESSAGES',
+  'MANAGE_THREADS'
+];
+
+// Permissions that only make sense guild-wide and cannot be set in channel overwrites
+const GUILD_ONLY_PERMISSIONS = [
+  'ADMINISTRATOR',
+  'MANAGE_GUILD',
+  'MANAGE_ROLES',
+  'KICK_MEMBERS',
+  'BAN_MEMBERS',
+  'MODERATE_MEMBERS',
+  'VIEW_AUDIT_LOG'
+];
+
+// Permissions that channel overwrites may allow or deny
+const CHANNEL_PERMISSIONS = PERMISSIONS.filter(permission => !GUILD_ONLY_PERMISSIONS.includes(permission));
+
+// Compare ObjectIds (or their string form) inside an array
+const includesId = (list, id) => list.some(item => item.toString() === id.toString());
+
+// The @everyone role applies to every member, whatever its members list says
+const isEveryoneRole = (role) => role.name === '@everyone';
+
+// Get the roles a user holds in a guild, including @everyone
+const getMemberRoles = (guild, userId) => {
+  return guild.roles.filter(role => isEveryoneRole(role) || includesId(role.members, userId));
+};
+
+// Check whether a user is the owner of a guild
+const isOwner = (guild, userId) => guild.owner.toString() === userId.toString();
+
+// Compute the guild-wide permissions of a user from ownership and roles
+const computeBasePermissions = (guild, userId) => {
+  if (!includesId(guild.members, userId)) {
+    return new Set();
+  }
+
+  if (isOwner(guild, userId)) {
+    return new Set(PERMISSIONS);
+  }
+
+  const permissions = new Set();
+  getMemberRoles(guild, userId).forEach(role => {
+    role.permissions.forEach(permission => permissions.add(permission));
+  });
+
+  if (permissions.has('ADMINISTRATOR')) {
+    return new Set(PERMISSIONS);
+  }
+
+  return permissions;
+};
+
+// Apply a list of overwrites to a permission set, denies first
+const applyOverwrites = (permissions, overwrites) => {
+  overwrites.forEach(overwrite => overwrite.deny.forEach(permission => permissions.delete(permission)));
+  overwrites.forEach(overwrite => overwrite.allow.forEach(permission => permissions.add(permission)));
+};
+
+// Compute the permissions of a user in a channel, applying its overwrites
+// in order: @everyone, then the member's other roles, then the member itself
+const computeChannelPermissions = (guild, channel, userId) => {
+  const permissions = computeBasePermissions(guild, userId);
+
+  if (permissions.has('ADMINISTRATOR')) {
+    return permissions;
+  }
+
+  const overwrites = channel.permissionOverwrites || [];
+  const roles = getMemberRoles(guild, userId);
+  const everyoneRole = roles.find(isEveryoneRole);
+  const roleIds = roles.filter(role => !isEveryoneRole(role)).map(role => role._id);
+
+  applyOverwrites(permissions, overwrites.filter(overwrite =>
+    overwrite.type === 'role' && everyoneRole && overwrite.target.toString() === everyoneRole._id.toString()
+  ));
+  applyOverwrites(permissions, overwrites.filter(overwrite =>
+    overwrite.type === 'role' && includesId(roleIds, overwrite.target)
+  ));
+  applyOverwrites(permissions, overwrites.filter(overwrite =>
+    overwrite.type === 'member' && overwrite.target.toString() === userId.toString()
+  ));
+
+  return permissions;
+};
+
+// Get the position of the highest role a user holds (0 for @everyone only)
+const getHighestRolePosition = (guild, userId) => {
+  return Math.max(0, ...getMemberRoles(guild, userId).map(role => role.position));
+};
+
+// Check whether an actor sits above a target in the role hierarchy.
+// The owner outranks everyone and nobody outranks the owner.
+const outranks = (guild, actorId, targetId) => {
+  if (isOwner(guild, targetId)) return false;
+  if (isOwner(guild, actorId)) return true;
+  return getHighestRolePosition(guild, actorId) > getHighestRolePosition(guild, targetId);
+};
+
+// Check whether an actor may manage (edit, assign or delete) a role
+const canManageRole = (guild, actorId, role) => {
+  if (isOwner(guild, actorId)) return true;
+  return role.position < getHighestRolePosition(guild, actorId);
+};
+
+// Check whether a user can see a channel at all
+const canViewChannel = (guild, channel, userId) => {
+  return computeChannelPermissions(guild, channel, userId).has('VIEW_CHANNELS');
+};
+
+module.exports = {
+  PERMISSIONS,
+  CHANNEL_PERMISSIONS,
+  includesId,
+  getMemberRoles,
+  computeBasePermissions,
+  computeChannelPermissions,
+  canViewChannel,
+  isOwner,
+  getHighestRolePosition,
+  outranks,
+  canManageRole
+};
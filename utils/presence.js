@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const Guild = require('../models/Guild');
+const Relationship = require('../models/Relationship');
+
+// Work out the status others see from a user's chosen status and connected
+// sockets. Users are offline without sockets or when invisible; dnd and idle
+// preferences stick; otherwise they are idle once every device reports idle.
+const computeStatus = (preference, sockets) => {
+  if (sockets.length === 0 || preference === 'invisible') return 'offline';
+  if (preference === 'dnd' || preference === 'idle') return preference;
+  return sockets.every(socket => socket.data.idle) ? 'idle' : 'online';
+};
+
+// Rooms that should hear about a user's presence: their own devices, the
+// guilds they share with others and their friends
+const getPresenceRooms = async (userId) => {
+  const [guilds, friends] = await Promise.all([
+    Guild.find({ members: userId }).select('_id'),
+    Relationship.find({ user: userId, type: 'friend' }).select('target')
+  ]);
+
+  return [
+    `user:${userId}`,
+    ...guilds.map(guild => `guild:${guild._id}`),
+    ...friends.map(friend => `user:${friend.target}`)
+  ];
+};
+
+// Recompute a user's status from their connected sockets and, if it changed,
+// store it and broadcast a presenceUpdate to co-members and friends
+const updatePresence = async (io, userId) => {
+  const [user, sockets] = await Promise.all([
+    User.findById(userId).select('status statusPreference'),
+    io.in(`user:${userId}`).fetchSockets()
+  ]);
+
+  if (!user) return;
+
+  const status = computeStatus(user.statusPreference, sockets);
+  if (status === user.status) return;
+
+  await User.updateOne({ _id: userId }, { $set: { status } });
+
+  io.to(await getPresenceRooms(userId)).emit('presenceUpdate', { userId, status });
+};
+
+// Mark everyone offline when the server starts, since no sockets survive a
+// restart; clients that reconnect bring their users back online
+const resetPresence = () => {
+  return User.updateMany({ status: { $ne: 'offline' } }, { $set: { status: 'offline' } });
+};
+
+module.exports = {
+  computeStatus,
+  updatePresence,
+  resetPresence
+};
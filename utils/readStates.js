@@ -0,0 +1,102 @@
+const Message = require('../models/Message');
+const ReadState = require('../models/ReadState');
+const { getMemberRoles } = require('./permissions');
+
+// Ids of the roles a member can be pinged through, leaving out @everyone
+const getMentionableRoleIds = (guild, userId) => {
+  return getMemberRoles(guild, userId)
+    .filter(role => role.name !== '@everyone')
+    .map(role => role._id);
+};
+
+// Count the messages after a read marker that mention a user, directly,
+// through one of their roles or with @everyone. Their own messages don't count.
+const countMentions = (location, userId, lastMessageId, roleIds = []) => {
+  return Message.countDocuments({
+    ...location,
+    ...(lastMessageId && { _id: { $gt: lastMessageId } }),
+    author: { $ne: userId },
+    $or: [
+      { mentions: userId },
+      { mentionRoles: { $in: roleIds } },
+      { mentionEveryone: true }
+    ]
+  });
+};
+
+// Move a user's read marker in a channel or conversation to a message and sync
+// it to all of the user's devices. `location` is { channel } or { conversationId }.
+const acknowledge = async (io, userId, location, messageId, roleIds = []) => {
+  await ReadState.findOneAndUpdate(
+    {
+      user: userId,
+      channel: location.channel || null,
+      conversationId: location.conversationId || null
+    },
+    { $set: { lastMessageId: messageId } },
+    { upsert: true }
+  );
+
+  const ack = {
+    ...location,
+    messageId,
+    mentionCount: await countMentions(location, userId, messageId, roleIds)
+  };
+
+  io.to(`user:${userId}`).emit('messageAck', ack);
+
+  return ack;
+};
+
+// Build the read state of a user in each channel or conversation, keyed by its id:
+// { lastReadMessageId, unread, mentionCount }. `field` is 'channel' or
+// 'conversationId'; `lastMessageIds` maps each id to its latest message id.
+const getReadStates = async (userId, field, lastMessageIds, roleIds = []) => {
+  const ids = [...lastMessageIds.keys()];
+  const readStates = await ReadState.find({ user: userId, [field]: { $in: ids } });
+  const lastRead = new Map(readStates.map(readState => [readState[field].toString(), readState.lastMessageId]));
+
+  const entries = await Promise.all(ids.map(async (id) => {
+    const lastReadMessageId = lastRead.get(id) || null;
+    const lastMessageId = lastMessageIds.get(id);
+    const unread = Boolean(lastMessageId) &&
+      (!lastReadMessageId || lastMessageId.toString() > lastReadMessageId.toString());
+    const mentionCount = unread
+      ? await countMentions({ [field]: id }, userId, lastReadMessageId, roleIds)
+      : 0;
+
+    return [id, { lastReadMessageId, unread, mentionCount }];
+  }));
+
+  return new Map(entries);
+};
+
+// Read states of a member in a guild's channels
+const getChannelReadStates = async (guild, channels, userId) => {
+  const latest = await Message.aggregate([
+    { $match: { channel: { $in: channels.map(channel => channel._id) } } },
+    { $group: { _id: '$channel', lastMessageId: { $max: '$_id' } } }
+  ]);
+  const lastMessageIds = new Map(channels.map(channel => [channel._id.toString(), null]));
+  latest.forEach(entry => lastMessageIds.set(entry._id.toString(), entry.lastMessageId));
+
+  return getReadStates(userId, 'channel', lastMessageIds, getMentionableRoleIds(guild, userId));
+};
+
+// Read states of a user in their conversations
+const getConversationReadStates = (conversations, userId) => {
+  const lastMessageIds = new Map(conversations.map(conversation => {
+    const lastMessage = conversation.lastMessage;
+    return [conversation._id.toString(), lastMessage ? lastMessage._id || lastMessage : null];
+  }));
+
+  return getReadStates(userId, 'conversationId', lastMessageIds);
+};
+
+module.exports = {
+  getMentionableRoleIds,
+  countMentions,
+  acknowledge,
+  getChannelReadStates,
+  getConversationReadStates
+};
@@ -0,0 +1,117 @@
+const User = require('../models/User');
+const Guild = require('../models/Guild');
+const Channel = require('../models/Channel');
+const Conversation = require('../models/Conversation');
+const Relationship = require('../models/Relationship');
+const { canViewChannel } = require('./permissions');
+const { getChannelReadStates, getConversationReadStates } = require('./readStates');
+const { populateConversation } = require('./conversations');
+const { sendReady } = require('./gateway');
+
+// Accounts in more guilds than this get their guilds as GUILD_CREATE events
+// after READY, as if they had asked for lazy mode
+const READY_LAZY_THRESHOLD = parseInt(process.env.READY_LAZY_THRESHOLD) || 100;
+
+// Get the status of every listed user who isn't offline
+const getPresences = async (userIds) => {
+  const users = await User.find({
+    _id: { $in: [...new Set(userIds.map(id => id.toString()))] },
+    status: { $ne: 'offline' }
+  }).select('status');
+
+  return users.map(user => ({ userId: user._id, status: user.status }));
+};
+
+// Build what a client needs to show a guild: the guild with its roles, owner
+// and members, the channels the user can view with their read states, and the
+// presences of its members. This is the payload of GUILD_CREATE.
+const buildGuildPayload = async (guild, userId) => {
+  const channels = (await Channel.find({ guild: guild._id, type: { $ne: 'thread' } }).sort({ category: 1, name: 1 }))
+    .filter(channel => canViewChannel(guild, channel, userId));
+
+  const [readStates, presences] = await Promise.all([
+    getChannelReadStates(guild, channels, userId),
+    getPresences(guild.members)
+  ]);
+
+  // Populated last, since permissions are computed from the member ids
+  await guild.populate([
+    { path: 'owner', select: 'username avatar' },
+    { path: 'members', select: 'username avatar' }
+  ]);
+
+  return {
+    ...guild.toObject(),
+    channels: channels.map(channel => ({
+      ...channel.toObject(),
+      ...readStates.get(channel._id.toString())
+    })),
+    presences
+  };
+};
+
+// Build the READY payload sent when a socket connects: the user, their guilds,
+// their conversations with read states and the presences of their friends and
+// conversation participants. In lazy mode guilds are only listed as
+// { _id, unavailable: true } and the guilds to send as GUILD_CREATE events
+// afterwards are returned alongside the payload.
+const buildReadyPayload = async (userId, { lazy = false } = {}) => {
+  const [user, guilds, conversations, friends] = await Promise.all([
+    User.findById(userId).select('-password'),
+    Guild.find({ members: userId }),
+    Conversation.find({ participants: userId }).sort({ updatedAt: -1 }),
+    Relationship.find({ user: userId, type: 'friend' }).select('target')
+  ]);
+
+  const isLazy = lazy || guilds.length > READY_LAZY_THRESHOLD;
+
+  await Promise.all(conversations.map(populateConversation));
+  const conversationReadStates = await getConversationReadStates(conversations, userId);
+
+  const presences = await getPresences([
+    ...friends.map(friend => friend.target),
+    ...conversations.flatMap(conversation => conversation.participants.map(participant => participant._id))
+  ]);
+
+  const payload = {
+    user,
+    guilds: isLazy
+      ? guilds.map(guild => ({ _id: guild._id, unavailable: true }))
+      : await Promise.all(guilds.map(guild => buildGuildPayload(guild, userId))),
+    conversations: conversations.map(conversation => ({
+      ...conversation.toObject(),
+      ...conversationReadStates.get(conversation._id.toString())
+    })),
+    presences,
+    lazy: isLazy
+  };
+
+  return { payload, lazyGuilds: isLazy ? guilds : [] };
+};
+
+// Send READY to the socket of a new gateway session and, in lazy mode, stream
+// a GUILD_CREATE for each guild after it. Clients ask for lazy mode with
+// { lazy: true } in the handshake auth.
+const sendReadyState = async (socket) => {
+  const userId = socket.data.userId;
+  const { payload, lazyGuilds } = await buildReadyPayload(userId, { lazy: socket.handshake.auth.lazy === true });
+
+  sendReady(socket, payload);
+
+  for (const { _id } of lazyGuilds) {
+    if (!socket.connected) return;
+
+    // Skip guilds the user left while the others were being sent
+    const guild = await Guild.findOne({ _id, members: userId });
+    if (guild) {
+      socket.emit('GUILD_CREATE', await buildGuildPayload(guild, userId));
+    }
+  }
+};
+
+module.exports = {
+  buildGuildPayload,
+  buildReadyPayload,
+  sendReadyState,
+  READY_LAZY_THRESHOLD
+};
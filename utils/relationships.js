@@ -0,0 +1,49 @@
+const Relationship = require('../models/Relationship');
+
+// Check whether a user and any of the given users have blocked one another, either way
+const hasBlockBetween = async (userId, otherIds) => {
+  return Boolean(await Relationship.exists({
+    type: 'blocked',
+    $or: [
+      { user: userId, target: { $in: otherIds } },
+      { user: { $in: otherIds }, target: userId }
+    ]
+  }));
+};
+
+// Get the ids of the users a user has blocked, as strings
+const getBlockedIds = async (userId) => {
+  const blocks = await Relationship.find({ user: userId, type: 'blocked' }).select('target');
+  return new Set(blocks.map(block => block.target.toString()));
+};
+
+// Create or change one side of a relationship and tell the user's devices
+const setRelationship = async (io, userId, targetId, type) => {
+  const relationship = await Relationship.findOneAndUpdate(
+    { user: userId, target: targetId },
+    { $set: { type }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, new: true }
+  ).populate('target', 'username avatar status');
+
+  io.to(`user:${userId}`).emit('relationshipAdd', relationship);
+
+  return relationship;
+};
+
+// Delete one side of a relationship, if it exists, and tell the user's devices
+const removeRelationship = async (io, userId, targetId) => {
+  const relationship = await Relationship.findOneAndDelete({ user: userId, target: targetId });
+
+  if (relationship) {
+    io.to(`user:${userId}`).emit('relationshipRemove', { userId: targetId, type: relationship.type });
+  }
+
+  return relationship;
+};
+
+module.exports = {
+  hasBlockBetween,
+  getBlockedIds,
+  setRelationship,
+  removeRelationship
+};
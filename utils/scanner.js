@@ -0,0 +1,73 @@
+const net = require('net');
+
+// Malware scanning of uploads. By default files are streamed to a clamd
+// daemon (CLAMD_HOST/CLAMD_PORT) with its INSTREAM command; without one
+// configured, scanning is skipped. Another scanner can be plugged in with
+// setScanner, as a function resolving to { clean, signature }.
+
+const CLAMD_TIMEOUT = parseInt(process.env.CLAMD_TIMEOUT) || 30 * 1000; // 30 seconds
+const CHUNK_SIZE = 64 * 1024;
+
+// Stream a buffer to clamd and parse its verdict
+const scanWithClamd = (buffer) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({
+    host: process.env.CLAMD_HOST,
+    port: parseInt(process.env.CLAMD_PORT) || 3310
+  });
+  let response = '';
+
+  socket.setTimeout(CLAMD_TIMEOUT, () => socket.destroy(new Error('clamd timed out')));
+  socket.on('error', reject);
+  socket.on('data', data => { response += data.toString(); });
+  socket.on('end', () => {
+    // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND"
+    const reply = response.replace(/\0/g, '').trim();
+
+    if (reply.endsWith('OK')) {
+      return resolve({ clean: true, signature: null });
+    }
+
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return resolve({ clean: false, signature: found[1] });
+    }
+
+    reject(new Error(`Unexpected clamd reply: ${reply}`));
+  });
+
+  socket.on('connect', () => {
+    socket.write('zINSTREAM\0');
+
+    for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+      const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+      const size = Buffer.alloc(4);
+      size.writeUInt32BE(chunk.length);
+      socket.write(size);
+      socket.write(chunk);
+    }
+
+    // A zero-length chunk ends the stream
+    socket.end(Buffer.alloc(4));
+  });
+});
+
+let scanner = process.env.CLAMD_HOST ? scanWithClamd : null;
+
+// Replace the scanner, or pass null to turn scanning off
+const setScanner = (fn) => {
+  scanner = fn;
+};
+
+// Scan a file's content. Resolves to { clean, signature }; rejects when the scanner fails.
+const scanFile = async (buffer, file) => {
+  if (!scanner) {
+    return { clean: true, signature: null };
+  }
+
+  return scanner(buffer, file);
+};
+
+module.exports = {
+  scanFile,
+  setScanner
+};
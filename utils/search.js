@@ -0,0 +1,119 @@
+const { query } = require('express-validator');
+const Message = require('../models/Message');
+const { serializeMessages, getMessageLocation } = require('./messages');
+
+const CONTEXT_SIZE = 2;
+const MAX_RESULTS = 25;
+
+// Query string validators shared by the guild and conversation search routes
+const searchValidators = [
+  query('content')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 512 })
+    .withMessage('Search content must be between 1 and 512 characters'),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+  query('mentions')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid mentioned user ID'),
+  query('has')
+    .optional()
+    .isIn(['attachment'])
+    .withMessage('has must be attachment'),
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('before must be a valid date'),
+  query('after')
+    .optional()
+    .isISO8601()
+    .withMessage('after must be a valid date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_RESULTS })
+    .withMessage(`Limit must be between 1 and ${MAX_RESULTS}`)
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive integer')
+    .toInt()
+];
+
+// Build the message filter for the search parameters, within the given scope
+const buildSearchFilter = (scope, params) => {
+  const filter = { ...scope };
+
+  if (params.content) filter.$text = { $search: params.content };
+  if (params.author) filter.author = params.author;
+  if (params.mentions) filter.mentions = params.mentions;
+  if (params.has === 'attachment') filter['attachments.0'] = { $exists: true };
+
+  if (params.before || params.after) {
+    filter.createdAt = {};
+    if (params.before) filter.createdAt.$lt = new Date(params.before);
+    if (params.after) filter.createdAt.$gt = new Date(params.after);
+  }
+
+  return filter;
+};
+
+// Get the messages around a hit in the same channel or conversation
+const loadContext = async (message) => {
+  const location = getMessageLocation(message);
+
+  const [before, after] = await Promise.all([
+    Message.find({ ...location, _id: { $lt: message._id } })
+      .sort({ _id: -1 })
+      .limit(CONTEXT_SIZE)
+      .populate('author', 'username avatar'),
+    Message.find({ ...location, _id: { $gt: message._id } })
+      .sort({ _id: 1 })
+      .limit(CONTEXT_SIZE)
+      .populate('author', 'username avatar')
+  ]);
+
+  return { before: before.reverse(), after };
+};
+
+// Run a search within a scope, returning the total hit count and one page of
+// hits, newest first, each with its surrounding messages
+const searchMessages = async (scope, params, viewerId) => {
+  const filter = buildSearchFilter(scope, params);
+  const limit = params.limit || MAX_RESULTS;
+  const offset = params.offset || 0;
+
+  const [total, hits] = await Promise.all([
+    Message.countDocuments(filter),
+    Message.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .populate('author', 'username avatar')
+  ]);
+
+  const results = await Promise.all(hits.map(async (hit) => {
+    const context = await loadContext(hit);
+    const [message, ...surrounding] = await serializeMessages([hit, ...context.before, ...context.after], viewerId);
+
+    return {
+      message,
+      context: {
+        before: surrounding.slice(0, context.before.length),
+        after: surrounding.slice(context.before.length)
+      }
+    };
+  }));
+
+  return { total, results };
+};
+
+module.exports = {
+  searchValidators,
+  searchMessages
+};
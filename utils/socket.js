@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Channel = require('../models/Channel');
+const Guild = require('../models/Guild');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { includesId, canViewChannel, computeChannelPermissions } = require('./permissions');
+
+// Load a channel for a socket event, along with its guild, the channel whose
+// overwrites apply (the parent, for threads) and the user's permissions in it.
+// Resolves to null when the channel doesn't exist or the user can't view it.
+const loadViewableChannel = async (channelId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(channelId)) return null;
+
+  const channel = await Channel.findById(channelId);
+  const permissionChannel = channel && await channel.getPermissionChannel();
+  const guild = permissionChannel && await Guild.findById(channel.guild);
+  if (!guild) return null;
+
+  const permissions = computeChannelPermissions(guild, permissionChannel, userId);
+  if (!permissions.has('VIEW_CHANNELS')) return null;
+
+  return { channel, permissionChannel, guild, permissions };
+};
+
+// Load a conversation for a socket event. Resolves to null when it doesn't
+// exist or the user isn't a participant.
+const loadParticipantConversation = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !includesId(conversation.participants, userId)) return null;
+
+  return conversation;
+};
+
+// Load a message for a socket event along with what loadMessage would set:
+// its channel, guild, permission channel and the user's permissions there, or
+// its conversation. Resolves to null when the user can't read the message.
+const loadReadableMessage = async (messageId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+
+  const message = await Message.findById(messageId);
+  if (!message) return null;
+
+  if (!message.channel) {
+    const conversation = await loadParticipantConversation(message.conversationId, userId);
+    return conversation && { message, conversation };
+  }
+
+  const loaded = await loadViewableChannel(message.channel, userId);
+  if (!loaded || !loaded.permissions.has('READ_MESSAGE_HISTORY')) return null;
+
+  return { message, ...loaded };
+};
+
+// Run express-validator chains against the data of a socket event, so events
+// share the validation of the matching REST routes. Resolves to the errors,
+// or null, and the sanitized data.
+const validateSocketData = async (validators, data) => {
+  const req = { body: { ...data } };
+  await Promise.all(validators.map(validator => validator.run(req)));
+
+  const errors = validationResult(req);
+  return { errors: errors.isEmpty() ? null : errors.array(), data: req.body };
+};
+
+// Get the personal rooms of the guild members who cannot view a channel
+const getHiddenMemberRooms = (guild, channel) => {
+  return guild.members
+    .filter(id => !canViewChannel(guild, channel, id))
+    .map(id => `user:${id}`);
+};
+
+// Emit a channel event to the guild room, skipping members who cannot view the
+// channel. Sent as a broadcast so that disconnected gateway sessions record it.
+const emitToChannelViewers = async (io, guild, channel, event, payload) => {
+  io.to(`guild:${guild._id}`).except(getHiddenMemberRooms(guild, channel)).emit(event, payload);
+};
+
+// Remove sockets from a channel room once their user can no longer view it.
+// Threads pass their parent as the channel whose overwrites apply.
+const evictChannelRoom = async (io, guild, channel, permissionChannel = channel) => {
+  const hiddenRooms = getHiddenMemberRooms(guild, permissionChannel);
+
+  if (hiddenRooms.length > 0) {
+    io.in(hiddenRooms).socketsLeave(`channel:${channel._id}`);
+  }
+};
+
+// Re-check every channel room of a guild, e.g. after roles change
+const evictGuildChannelRooms = async (io, guild) => {
+  const channels = await Channel.find({ guild: guild._id });
+  const channelsById = new Map(channels.map(channel => [channel._id.toString(), channel]));
+
+  await Promise.all(channels.map(channel => {
+    const permissionChannel = channel.type === 'thread'
+      ? channelsById.get(channel.parent.toString())
+      : channel;
+
+    return permissionChannel && evictChannelRoom(io, guild, channel, permissionChannel);
+  }));
+};
+
+// Join a newly connected socket to the rooms of every guild and conversation
+// its user belongs to. Channel rooms are still joined on demand.
+const joinUserRooms = async (socket) => {
+  const userId = socket.data.userId;
+  const [guilds, conversations] = await Promise.all([
+    Guild.find({ members: userId }).select('_id'),
+    Conversation.find({ participants: userId }).select('_id')
+  ]);
+
+  socket.join([
+    ...guilds.map(guild => `guild:${guild._id}`),
+    ...conversations.map(conversation => `conversation:${conversation._id}`)
+  ]);
+};
+
+// Join every connected socket of a user to a room, e.g. after they join a guild
+const joinUserSockets = (io, userId, room) => {
+  io.in(`user:${userId}`).socketsJoin(room);
+};
+
+// Remove every socket of a user from a guild room and its channel rooms once
+// they are no longer a member
+const leaveGuildRooms = async (io, guildId, userId) => {
+  const channels = await Channel.find({ guild: guildId }).select('_id');
+
+  io.in(`user:${userId}`).socketsLeave([
+    `guild:${guildId}`,
+    ...channels.map(channel => `channel:${channel._id}`)
+  ]);
+};
+
+// Empty rooms whose guild, channel or conversation no longer exists
+const closeRooms = (io, rooms) => {
+  io.in(rooms).socketsLeave(rooms);
+};
+
+module.exports = {
+  loadViewableChannel,
+  loadParticipantConversation,
+  loadReadableMessage,
+  validateSocketData,
+  joinUserRooms,
+  joinUserSockets,
+  leaveGuildRooms,
+  closeRooms,
+  emitToChannelViewers,
+  evictChannelRoom,
+  evictGuildChannelRooms
+};
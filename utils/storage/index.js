@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// How long signed download URLs stay valid, in seconds
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL) || 60 * 60; // 1 hour
+
+// Files under these prefixes can only be downloaded through a signed URL
+const PRIVATE_PREFIXES = ['attachments/'];
+
+// Folder for uploads that failed the malware scan; never served
+const QUARANTINE_FOLDER = 'quarantine';
+
+// Build the storage driver selected by STORAGE_DRIVER (local or s3)
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../uploads')
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        publicEndpoint: process.env.S3_PUBLIC_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted services need path-style bucket addressing
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+
+// Generate a unique key for an uploaded file inside a folder
+const createKey = (folder, originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = path.extname(originalname).toLowerCase();
+  return `${folder}/${uniqueSuffix}${ext}`;
+};
+
+// Check that a key names a file without any empty, `.` or `..` segments, so
+// that it means the same thing to the prefix checks and to the drivers
+const isValidKey = (key) => {
+  return typeof key === 'string' &&
+    path.posix.normalize(key) === key &&
+    key.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+};
+
+// Check whether a key needs a signed URL to be downloaded
+const isPrivateKey = (key) => PRIVATE_PREFIXES.some(prefix => key.startsWith(prefix));
+
+const sign = (key, expires) => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+};
+
+// URL of a public file, served by the uploads route
+const getPublicUrl = (key) => `/uploads/${key}`;
+
+// URL of a private file that stops working after expiresIn seconds
+const getSignedUrl = (key, expiresIn = SIGNED_URL_TTL) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `/uploads/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+// Check the expiry and signature of a signed URL
+const verifySignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  storage,
+  createKey,
+  isValidKey,
+  isPrivateKey,
+  getPublicUrl,
+  getSignedUrl,
+  verifySignature,
+  SIGNED_URL_TTL,
+  QUARANTINE_FOLDER
+};
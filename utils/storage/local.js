@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage driver that keeps files on the local disk under a root directory.
+// Only suitable for a single instance; use the s3 driver when scaling out.
+const createLocalStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Map a key to a path, refusing anything that escapes the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    // Returns null when the file does not exist
+    async get(key) {
+      const filePath = resolveKey(key);
+
+      try {
+        const stats = await fs.promises.stat(filePath);
+        if (!stats.isFile()) return null;
+
+        return {
+          stream: fs.createReadStream(filePath),
+          size: stats.size,
+          contentType: null
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,79 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Storage driver for S3 and S3-compatible services such as MinIO. When the
+// service is reached through a different address than clients use (e.g. a
+// MinIO container), publicEndpoint is used to build presigned URLs.
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  publicEndpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const clientOptions = {
+    region,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  };
+
+  const client = new S3Client({ ...clientOptions, endpoint });
+  const presignClient = publicEndpoint
+    ? new S3Client({ ...clientOptions, endpoint: publicEndpoint })
+    : client;
+
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    // Returns null when the object does not exist
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+        return {
+          stream: object.Body,
+          size: object.ContentLength,
+          contentType: object.ContentType || null
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Presigned GET URL that clients can fetch directly from the bucket
+    getSignedUrl(key, expiresIn, { contentDisposition } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: contentDisposition
+      });
+
+      return getSignedUrl(presignClient, command, { expiresIn });
+    }
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,65 @@
+const Channel = require('../models/Channel');
+const Guild = require('../models/Guild');
+const { emitToChannelViewers } = require('./socket');
+
+const ARCHIVE_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// Record activity in a thread: reopen it if archived and add the user to its members
+const touchThread = async (io, guild, thread, parent, userId) => {
+  const updated = await Channel.findByIdAndUpdate(
+    thread._id,
+    {
+      $set: { lastActivityAt: new Date(), archived: false },
+      $addToSet: { threadMembers: userId }
+    },
+    { new: true }
+  );
+
+  if (thread.archived) {
+    await emitToChannelViewers(io, guild, parent, 'threadUpdate', updated);
+  }
+
+  return updated;
+};
+
+// Archive threads that have been inactive for longer than their auto-archive duration
+const archiveInactiveThreads = async (io) => {
+  const now = Date.now();
+  const threads = await Channel.find({
+    type: 'thread',
+    archived: false,
+    $expr: {
+      $lt: [
+        { $add: ['$lastActivityAt', { $multiply: ['$autoArchiveDuration', 60 * 1000] }] },
+        new Date(now)
+      ]
+    }
+  });
+
+  for (const thread of threads) {
+    thread.archived = true;
+    await thread.save();
+
+    const [guild, parent] = await Promise.all([
+      Guild.findById(thread.guild),
+      Channel.findById(thread.parent)
+    ]);
+
+    if (guild && parent) {
+      await emitToChannelViewers(io, guild, parent, 'threadUpdate', thread);
+    }
+  }
+};
+
+// Periodically archive inactive threads
+const startThreadArchiver = (io) => {
+  return setInterval(() => {
+    archiveInactiveThreads(io).catch(error => console.error('Thread archive error:', error));
+  }, ARCHIVE_SWEEP_INTERVAL);
+};
+
+module.exports = {
+  touchThread,
+  archiveInactiveThreads,
+  startThreadArchiver
+};
@@ -0,0 +1,38 @@
+const Guild = require('../models/Guild');
+
+const SWEEP_INTERVAL = 15 * 1000; // 15 seconds
+
+// Remove expired member timeouts and let clients know they have ended
+const sweepExpiredTimeouts = async (io) => {
+  const now = new Date();
+  const guilds = await Guild.find({ 'timeouts.until': { $lte: now } }).select('timeouts');
+
+  for (const guild of guilds) {
+    const expired = guild.timeouts.filter(timeout => timeout.until <= now);
+
+    await Guild.updateOne(
+      { _id: guild._id },
+      { $pull: { timeouts: { until: { $lte: now } } } }
+    );
+
+    expired.forEach(timeout => {
+      io.to(`guild:${guild._id}`).emit('memberUpdate', {
+        guildId: guild._id,
+        userId: timeout.user,
+        timeout: null
+      });
+    });
+  }
+};
+
+// Periodically clear expired timeouts
+const startTimeoutSweeper = (io) => {
+  return setInterval(() => {
+    sweepExpiredTimeouts(io).catch(error => console.error('Timeout sweep error:', error));
+  }, SWEEP_INTERVAL);
+};
+
+module.exports = {
+  sweepExpiredTimeouts,
+  startTimeoutSweeper
+};
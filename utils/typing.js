@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const { includesId, canViewChannel } = require('./permissions');
+const { hasBlockBetween } = require('./relationships');
+const { loadViewableChannel } = require('./socket');
+
+// Typing indicators expire unless the client sends typingStart again
+const TYPING_TIMEOUT = 8 * 1000; // 8 seconds
+// Repeated typingStart events within this window are not relayed again
+const TYPING_THROTTLE = 3 * 1000; // 3 seconds
+
+// Who is typing where, keyed by user and channel or conversation
+const typing = new Map();
+
+// Describe where someone is typing, as a socket payload fragment
+const getTypingLocation = (target) => {
+  return target.channel
+    ? { channel: target.channel._id }
+    : { conversationId: target.conversation._id };
+};
+
+const getTypingKey = (userId, target) => {
+  const location = getTypingLocation(target);
+  return `${userId}:${location.channel || location.conversationId}`;
+};
+
+// Load where a socket user wants to type, or null when they may not: channels
+// need VIEW_CHANNELS and SEND_MESSAGES without a timeout, conversations need
+// the user to be a participant not blocked in a 1:1 DM.
+const loadTypingTarget = async (userId, { channelId, conversationId } = {}) => {
+  if (channelId) {
+    const loaded = await loadViewableChannel(channelId, userId);
+
+    if (!loaded || !loaded.permissions.has('SEND_MESSAGES') || loaded.guild.getActiveTimeout(userId)) {
+      return null;
+    }
+
+    return loaded;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !includesId(conversation.participants, userId)) return null;
+
+  const others = conversation.participants.filter(id => id.toString() !== userId.toString());
+  if (conversation.type !== 'group' && await hasBlockBetween(userId, others)) return null;
+
+  return { conversation };
+};
+
+// Send a typing event to the sockets watching a channel or conversation that
+// may see it, leaving out every socket of the typing user
+const relayTyping = async (io, userId, target, event, payload) => {
+  const location = getTypingLocation(target);
+  const room = location.channel ? `channel:${location.channel}` : `conversation:${location.conversationId}`;
+  const sockets = await io.in(room).fetchSockets();
+
+  sockets.forEach(socket => {
+    const viewerId = socket.data.userId;
+    if (viewerId === userId.toString()) return;
+
+    const allowed = target.channel
+      ? canViewChannel(target.guild, target.permissionChannel, viewerId)
+      : includesId(target.conversation.participants, viewerId);
+
+    if (allowed) socket.emit(event, payload);
+  });
+};
+
+// Stop a user's typing indicator in a channel or conversation, if shown
+const stopTyping = async (io, userId, target) => {
+  const key = getTypingKey(userId, target);
+  const entry = typing.get(key);
+  if (!entry) return;
+
+  clearTimeout(entry.timer);
+  typing.delete(key);
+
+  await relayTyping(io, userId, entry.target, 'typingStop', {
+    ...getTypingLocation(target),
+    userId
+  });
+};
+
+// Start or refresh a user's typing indicator from one of their sockets
+const startTyping = async (io, socket, target) => {
+  const userId = socket.data.userId;
+  const key = getTypingKey(userId, target);
+  const entry = typing.get(key);
+  const now = Date.now();
+  const throttled = entry && now - entry.lastSentAt < TYPING_THROTTLE;
+
+  if (entry) clearTimeout(entry.timer);
+
+  typing.set(key, {
+    target,
+    socketId: socket.id,
+    lastSentAt: throttled ? entry.lastSentAt : now,
+    timer: setTimeout(() => {
+      stopTyping(io, userId, target).catch(error => console.error('Typing expiry error:', error));
+    }, TYPING_TIMEOUT)
+  });
+
+  if (!throttled) {
+    await relayTyping(io, userId, target, 'typingStart', {
+      ...getTypingLocation(target),
+      userId,
+      timestamp: now
+    });
+  }
+};
+
+// Stop every typing indicator started from a socket, e.g. when it disconnects
+const stopSocketTyping = (io, socket) => {
+  const entries = [...typing.values()].filter(entry => entry.socketId === socket.id);
+
+  return Promise.all(entries.map(entry => stopTyping(io, socket.data.userId, entry.target)));
+};
+
+module.exports = {
+  loadTypingTarget,
+  startTyping,
+  stopTyping,
+  stopSocketTyping
+};